@@ -0,0 +1,312 @@
+const { summarize, histogram, mergeHistograms, countOverBudgets, meanCI, madOutliers } = require('./stats');
+const { summarizeHeap } = require('./memory');
+const { describeFailure, failureSummary } = require('./failures');
+
+// Helper for statistics
+const getMean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+const getStdDev = (arr, mean) => Math.sqrt(arr.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / arr.length);
+
+// Memory of one run (--memory): JS heap summary from the CDP samples
+// ({ afterInit, afterRecording, afterGc }) and the page's buffer/texture accounting
+const memoryRecord = (result, heap) => ({
+    jsHeap: heap ? summarizeHeap(heap) : null,
+    resources: result.resources || null
+});
+
+// Achieved GFLOPS over the mean GPU time of a run whose workload reports
+// flopsPerFrame (Scenario D). The rate over the frame time is its gflop throughput.
+function computeRecord(workload, meanGpuTime) {
+    const flops = workload?.flopsPerFrame;
+    if (!flops) return null;
+    return {
+        flopsPerFrame: flops,
+        gpuGflops: meanGpuTime ? flops / (meanGpuTime * 1e6) : null
+    };
+}
+
+// Work units per second at a given FPS, as the harness computes them
+const throughputOf = (workUnits, fps) => Object.fromEntries(Object.entries(workUnits || {}).map(([unit, perFrame]) => [unit, perFrame * fps]));
+
+// Per-run record from the harness results of a live run. chromeTrace is the
+// summary of the run's Chrome trace when --trace is on, heap the CDP heap samples
+// when --memory is.
+function toRunRecord(result, run, { chromeTrace = null, heap = null } = {}) {
+    return {
+        run,
+        fps: result.fps,
+        meanFrameTime: result.meanFrameTime,
+        stdFrameTime: result.stdFrameTime,
+        p95FrameTime: result.p95FrameTime,
+        // Raw samples, pooled across runs rather than averaging per-run percentiles
+        frames: result.frames,
+        phaseTimes: result.phaseTimes || {},
+        histogram: result.histogram,
+        meanCpuTime: result.meanCpuTime,
+        meanGpuTime: result.meanGpuTime, // null when GPU timing is unavailable
+        gpuTiming: result.gpuTiming,
+        gpuTimesDiscarded: result.gpuTimesDiscarded || 0,
+        initTime: result.initTime,
+        gpuFramesSkipped: result.gpuFramesSkipped || 0,
+        seed: result.seed,
+        clock: result.clock,
+        params: result.params || null,
+        context: result.context || null,
+        workload: result.workload,
+        workUnits: result.workUnits || {},
+        throughput: result.throughput || {},
+        deviceInfo: result.deviceInfo,
+        compute: computeRecord(result.workload, result.meanGpuTime),
+        verification: result.verification || null,
+        memory: memoryRecord(result, heap),
+        chromeTrace
+    };
+}
+
+// Per-run record rebuilt from a trace line (see trace.js), using the same
+// definitions the harness applies in the page
+function runRecordFromTrace(line) {
+    const frames = line.frames.frameTime;
+    const summary = summarize(frames);
+    const gpuTimes = line.gpu.time;
+    const phaseTimes = Object.fromEntries(Object.entries(line.phases).map(([name, series]) => [name, series.time]));
+    const meanFrameTime = summary ? summary.mean : 0;
+    const meanGpuTime = gpuTimes.length > 0 ? getMean(gpuTimes) : null;
+    return {
+        run: line.run,
+        fps: summary ? 1000 / summary.mean : 0,
+        meanFrameTime,
+        stdFrameTime: summary ? summary.std : 0,
+        p95FrameTime: summary ? summary.p95 : 0,
+        frames,
+        phaseTimes,
+        histogram: histogram(frames),
+        meanCpuTime: line.frames.cpuTime.length > 0 ? getMean(line.frames.cpuTime) : 0,
+        meanGpuTime,
+        gpuTiming: line.gpuTiming,
+        gpuTimesDiscarded: line.gpuTimesDiscarded,
+        initTime: line.initTime,
+        gpuFramesSkipped: line.gpuFramesSkipped,
+        seed: line.seed,
+        clock: line.clock,
+        params: line.resolvedParams || null,
+        context: line.context || null,
+        workload: line.workload,
+        workUnits: line.workUnits || {},
+        throughput: throughputOf(line.workUnits, summary ? 1000 / summary.mean : 0),
+        deviceInfo: line.deviceInfo,
+        compute: computeRecord(line.workload, meanGpuTime),
+        verification: line.verification || null,
+        memory: memoryRecord({ resources: line.memory?.resources }, line.memory?.heap),
+        chromeTrace: line.chromeTrace || null
+    };
+}
+
+// Per-phase CPU breakdown over the frames of all runs: { name: summary }
+function aggregatePhases(runs) {
+    const names = [...new Set(runs.flatMap(r => Object.keys(r.phaseTimes)))];
+    const phases = {};
+    for (const name of names) {
+        phases[name] = summarize(runs.flatMap(r => r.phaseTimes[name] || []));
+    }
+    return phases;
+}
+
+// Memory over the runs: peaks are the largest of any run, everything else the mean
+function aggregateMemory(runs) {
+    const heaps = runs.map(r => r.memory?.jsHeap).filter(h => h);
+    const resources = runs.map(r => r.memory?.resources).filter(r => r);
+    if (heaps.length === 0 && resources.length === 0) return null;
+
+    const combine = (items, key) => {
+        const values = items.map(i => i[key]).filter(v => typeof v === 'number');
+        if (values.length === 0) return null;
+        return key.startsWith('peak') ? Math.max(...values) : getMean(values);
+    };
+    const combineAll = items => Object.fromEntries(Object.keys(items[0]).map(key => [key, combine(items, key)]));
+
+    return {
+        runs: Math.max(heaps.length, resources.length),
+        jsHeap: heaps.length > 0 ? combineAll(heaps) : null,
+        resources: resources.length > 0 ? {
+            api: resources[0].api,
+            buffers: combineAll(resources.map(r => r.buffers)),
+            textures: combineAll(resources.map(r => r.textures))
+        } : null
+    };
+}
+
+// Scenario work-unit rates over the runs: { unit: { perFrame, mean, std } } per second
+function aggregateThroughput(runs) {
+    const units = [...new Set(runs.flatMap(r => Object.keys(r.throughput)))];
+    return Object.fromEntries(units.map(unit => {
+        const rates = runs.map(r => r.throughput[unit]).filter(v => typeof v === 'number');
+        const mean = getMean(rates);
+        return [unit, { perFrame: runs[0].workUnits[unit], mean, std: getStdDev(rates, mean) }];
+    }));
+}
+
+// GPU-timed GFLOPS over the runs, null for workloads that do not count FLOPs
+function aggregateCompute(runs) {
+    const computed = runs.map(r => r.compute).filter(c => c);
+    if (computed.length === 0) return null;
+    const gpuGflops = computed.map(c => c.gpuGflops).filter(g => g !== null);
+    const meanGpuGflops = gpuGflops.length > 0 ? getMean(gpuGflops) : null;
+    return {
+        flopsPerFrame: computed[0].flopsPerFrame,
+        meanGpuGflops,
+        stdGpuGflops: meanGpuGflops !== null ? getStdDev(gpuGflops, meanGpuGflops) : null
+    };
+}
+
+// Output checks over the verified runs; passed only if every one of them passed
+function aggregateVerification(runs) {
+    const verified = runs.filter(r => r.verification);
+    if (verified.length === 0) return null;
+    return {
+        runs: verified.length,
+        passed: verified.every(r => r.verification.passed),
+        failedRuns: verified.filter(r => !r.verification.passed).map(r => r.run),
+        tolerance: verified[0].verification.tolerance,
+        cellsChecked: verified[0].verification.cellsChecked,
+        mismatches: verified.reduce((n, r) => n + r.verification.mismatches, 0),
+        maxRelativeError: verified.reduce((m, r) => Math.max(m, r.verification.maxRelativeError), 0)
+    };
+}
+
+// Mean Chrome trace summary over the traced runs, null without --trace
+function aggregateChromeTraces(runs) {
+    const traced = runs.map(r => r.chromeTrace).filter(t => t);
+    if (traced.length === 0) return null;
+    const meanOf = fn => getMean(traced.map(fn));
+    return {
+        runs: traced.length,
+        meanDurationMs: meanOf(t => t.durationMs),
+        meanGpuBusyMs: meanOf(t => t.gpuBusyMs),
+        meanGpuBusyRatio: meanOf(t => t.gpuBusyRatio),
+        meanCompositorFrames: meanOf(t => t.compositorFrames),
+        meanDroppedFrames: meanOf(t => t.droppedFrames),
+        meanShaderCompiles: meanOf(t => t.shaderCompiles.count),
+        meanShaderCompileMs: meanOf(t => t.shaderCompiles.totalMs),
+        maxShaderCompileMs: traced.reduce((m, t) => Math.max(m, t.shaderCompiles.maxMs), 0),
+        gpuProcessFound: traced.every(t => t.gpuProcessFound)
+    };
+}
+
+// Relative CI width of the mean FPS, the stopping criterion of adaptive mode
+const fpsCiWidth = runs => meanCI(runs.map(r => r.fps)).relativeWidth;
+
+// Runs whose FPS or mean frame time is far from the others (MAD based)
+function flagOutliers(runs) {
+    const outliers = [];
+    for (const metric of ['fps', 'meanFrameTime']) {
+        for (const o of madOutliers(runs.map(r => r[metric]))) {
+            outliers.push({ run: runs[o.index].run, metric, value: o.value, reason: o.reason });
+        }
+    }
+    return outliers;
+}
+
+// Returns a description of how the executed workload differs from the requested one, or null
+function checkWorkload(count, workload) {
+    if (!workload) return 'scenario did not report its workload';
+
+    const problems = [];
+    if (workload.effectiveCount !== count) {
+        problems.push(`requested count ${count} but ran ${workload.effectiveCount}`);
+    }
+    if (workload.matrixSize !== undefined && workload.matrixSize !== workload.requestedMatrixSize) {
+        problems.push(`matrix size capped at ${workload.matrixSize} (requested ${workload.requestedMatrixSize})`);
+    }
+    if (workload.particlesSimulated !== undefined && workload.particlesSimulated !== workload.effectiveCount) {
+        problems.push(`only ${workload.particlesSimulated} of ${workload.effectiveCount} particles simulated`);
+    }
+    if (problems.length === 0 && workload.capped) {
+        problems.push('workload capped by the scenario');
+    }
+    return problems.length > 0 ? problems.join('; ') : null;
+}
+
+// One results.json entry for a configuration from its successful runs and the
+// failure records of the others
+function aggregateRuns(config, runs, runsAttempted, failures = []) {
+    const { api, scenario, count, adaptive, warmup, duration, framesInFlight, jankBudgets } = config;
+    const params = config.params || {};
+    if (runs.length === 0) {
+        const cause = failures.length > 0 ? ` (${failureSummary(failures)}), first: ${describeFailure(failures[0])}` : '';
+        return { api, scenario, count, params, runsAttempted, error: `All runs failed${cause}`, failures };
+    }
+
+    const gpuRuns = runs.filter(r => r.meanGpuTime !== null && r.meanGpuTime !== undefined);
+    const pooledFrames = runs.flatMap(r => r.frames);
+    const mismatches = [...new Set(runs.map(r => checkWorkload(count, r.workload)).filter(m => m))];
+
+    return {
+        api,
+        scenario,
+        count,
+        // Swept parameters besides count, and every parameter the page resolved
+        // (registry defaults included)
+        params,
+        resolvedParams: runs[0].params ?? null,
+        // Canvas context options in effect as the page reported them (scenarios/context.js)
+        context: runs[0].context ?? null,
+        runsSuccessful: runs.length,
+        runsAttempted,
+        failures,
+        adaptive: adaptive && {
+            ...adaptive,
+            achievedCi: fpsCiWidth(runs),
+            converged: fpsCiWidth(runs) <= adaptive.targetCi
+        },
+        // Flagged only; they stay in every aggregate below
+        outliers: flagOutliers(runs),
+        warmupMs: warmup,
+        durationSec: duration,
+        // Seed the page reported; runs of one configuration always share it
+        seed: runs[0].seed ?? null,
+        clock: runs[0].clock ?? null,
+        // 'reload' or 'same-page', see scenarios/orchestrator.js
+        isolation: config.isolation,
+
+        meanFps: getMean(runs.map(r => r.fps)),
+        stdFps: getStdDev(runs.map(r => r.fps), getMean(runs.map(r => r.fps))),
+        // Scenario work units per second, see Scenario.getWorkUnits()
+        throughput: aggregateThroughput(runs),
+
+        meanFrameTime: getMean(runs.map(r => r.meanFrameTime)),
+        stdFrameTime: getStdDev(runs.map(r => r.meanFrameTime), getMean(runs.map(r => r.meanFrameTime))),
+
+        frameTime: summarize(pooledFrames),
+        histogram: mergeHistograms(runs.map(r => r.histogram)),
+        jank: countOverBudgets(pooledFrames, jankBudgets),
+
+        meanCpuTime: getMean(runs.map(r => r.meanCpuTime)),
+        meanGpuTime: gpuRuns.length > 0 ? getMean(gpuRuns.map(r => r.meanGpuTime)) : null,
+        gpuTiming: gpuRuns.length > 0 ? gpuRuns[0].gpuTiming : runs[0].gpuTiming,
+        gpuTimesDiscarded: runs.reduce((n, r) => n + r.gpuTimesDiscarded, 0),
+        gpuFramesInFlight: framesInFlight,
+        gpuFramesSkipped: runs.reduce((n, r) => n + r.gpuFramesSkipped, 0),
+
+        meanInitTime: getMean(runs.map(r => r.initTime)),
+
+        phases: aggregatePhases(runs),
+        compute: aggregateCompute(runs),
+        verification: aggregateVerification(runs),
+        memory: aggregateMemory(runs),
+        chromeTrace: aggregateChromeTraces(runs),
+
+        // Per-run values, used for the WebGPU/WebGL statistical comparison
+        samples: {
+            fps: runs.map(r => r.fps),
+            frameTime: runs.map(r => r.meanFrameTime),
+            cpuTime: runs.map(r => r.meanCpuTime),
+            gpuTime: gpuRuns.map(r => r.meanGpuTime)
+        },
+
+        workload: runs[0].workload,
+        workloadMismatch: mismatches.length > 0 ? mismatches.join(' | ') : null,
+        deviceInfo: runs[0].deviceInfo
+    };
+}
+
+module.exports = { toRunRecord, runRecordFromTrace, aggregateRuns, fpsCiWidth, checkWorkload };
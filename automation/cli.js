@@ -0,0 +1,257 @@
+const { parseArgs } = require('util');
+const { SCENARIOS } = require('./registry');
+const { DEFAULT_JANK_BUDGETS } = require('./stats');
+
+// Fallbacks for settings that neither the CLI nor the suite file provide
+const DEFAULTS = {
+    suite: 'paper',
+    runs: 10,
+    // Adaptive repetition: repeat until the relative width of the 95% CI of the
+    // mean FPS drops below targetCi, within [minRuns, maxRuns]
+    targetCi: 0.05,
+    minRuns: 5,
+    maxRuns: 30,
+    warmup: 1000, // ms, forwarded to BenchmarkHarness.warmupDuration
+    duration: 3,  // seconds, forwarded to BenchmarkHarness.targetDuration
+    framesInFlight: 3, // WebGPU timestamp readback ring, BenchmarkHarness.gpuFramesInFlight
+    jankBudgets: DEFAULT_JANK_BUDGETS, // ms, frames over each budget are counted
+    clock: 'fixed', // Simulation clock of the scenes, 'fixed' or 'frame' (scenarios/Scenario.js)
+    // Run isolation: 'reload' navigates the page for every run, 'same-page' runs
+    // them one after another in one page (scenarios/orchestrator.js)
+    isolation: 'reload',
+    seed: 1, // Seed of the scenario data (shared/random.js), the same for every run and API
+    port: 3000,
+    alpha: 0.05, // compare: significance level
+    // Parity check: frame to capture, per-pixel YIQ threshold (0-1) and share of
+    // differing pixels tolerated
+    parityFrame: 60,
+    parityThreshold: 0.1,
+    parityTolerance: 0.01,
+    out: 'results'
+};
+
+// Simulation clock modes of scenarios/Scenario.js
+const CLOCK_MODES = ['fixed', 'frame'];
+const ISOLATION_MODES = ['reload', 'same-page'];
+
+// Rough per-run cost of page navigation, init and result transfer (ms)
+const RUN_OVERHEAD_MS = 1500;
+
+const USAGE = `Usage: node automation/runner.js [options]
+       node automation/runner.js compare <baseline results.json> <new results.json> [compare options]
+
+Options:
+  --suite <name|file> Suite from suites/ or a path to a suite JSON (default ${DEFAULTS.suite})
+  --api <list>        APIs to run, comma separated (webgl,webgpu)
+  --scenario <list>   Scenarios to run, comma separated (e.g. A,C), from scenarios/registry.json:
+${SCENARIOS.map(s => `                        ${s.id}  ${s.title}`).join('\n')}
+  --counts <list>     Override the count list of every selected scenario
+  --param <name=list> Sweep a scenario parameter, e.g. spacing=2,4,8 or workgroupSize=64,128,
+                      overriding the suite's list; repeatable. A color takes one r,g,b value
+                      per --param (clearColor=0,0,0 --param clearColor=1,1,1). The canvas
+                      context options (sampleCount, antialias, alpha, premultipliedAlpha,
+                      preserveDrawingBuffer, powerPreference, desynchronized, canvasFormat)
+                      are parameters of every scenario
+  --runs <n>          Repetitions per configuration, overrides the suite
+  --adaptive          Repeat each configuration until the mean FPS is stable
+  --target-ci <f>     Adaptive: stop once the 95% CI width / mean is below f (default ${DEFAULTS.targetCi})
+  --min-runs <n>      Adaptive: runs before the stopping rule applies (default ${DEFAULTS.minRuns})
+  --max-runs <n>      Adaptive: give up after n runs (default ${DEFAULTS.maxRuns})
+  --warmup <ms>       Warmup time before recording, overrides the suite
+  --duration <s>      Recording time per run, overrides the suite
+  --frames-in-flight <n>
+                      WebGPU timestamp readback ring size, overrides the suite
+  --jank-budgets <list>
+                      Frame budgets in ms to count jank against (default ${DEFAULTS.jankBudgets.join(',')})
+  --parity            Before measuring, render every scenario/count on both APIs up to a
+                      fixed frame and compare the canvases; diverging configurations
+                      are not measured and the runner exits with 1
+  --parity-frame <n>  Frame to capture (default ${DEFAULTS.parityFrame})
+  --parity-threshold <f>
+                      Per-pixel perceptual difference threshold, 0-1 (default ${DEFAULTS.parityThreshold})
+  --parity-tolerance <f>
+                      Share of differing pixels allowed (default ${DEFAULTS.parityTolerance})
+  --clock <mode>      Scene animation clock: fixed (time in whole 1/60 s steps) or frame
+                      (frame index only), overrides the suite (default ${DEFAULTS.clock})
+  --seed <n>          Seed of the scenarios' initial data, 0-4294967295 (default ${DEFAULTS.seed})
+  --isolation <mode>  reload: load the page afresh for every run; same-page: run in one
+                      page, disposing each scenario before the next (default ${DEFAULTS.isolation})
+  --verify            Scenario D: check the product against a CPU reference after
+                      each run (overrides the suite's harness.verify)
+  --trace             Record a Chrome trace of every run into <out>/chrome-traces
+                      (GPU, V8, timeline, Dawn and ANGLE categories; slows runs down)
+  --memory            Record JS heap use after init and after recording, and count the
+                      buffers and textures the page creates (wraps their allocation calls)
+  --out <dir>         Output directory for results (default ${DEFAULTS.out})
+  --port <n>          Port for the local static server (default ${DEFAULTS.port})
+  --dry-run           Print the expanded matrix and estimated time, then exit
+  -h, --help          Show this help
+
+Compare options:
+  --tolerance <list>  Per-metric relative tolerances, e.g. fps=0.03,p99FrameTime=0.2
+  --alpha <p>         Significance level of the Welch t-test (default ${DEFAULTS.alpha})
+  --junit <file>      JUnit XML report (default regression.xml next to the new results)
+
+compare exits with 1 when any configuration regressed and 2 on invalid input.
+`;
+
+const splitList = value => value.split(',').map(v => v.trim()).filter(v => v.length > 0);
+
+// exclusive: min and max themselves are out of range too
+function parseNumber(name, value, { integer = false, min = 0, max = Infinity, exclusive = false } = {}) {
+    const num = Number(value);
+    if (!Number.isFinite(num) || (integer && !Number.isInteger(num)) || num < min || num > max || (exclusive && (num === min || num === max))) {
+        const range = `${exclusive ? '>' : '>='} ${min}${max !== Infinity ? ` and ${exclusive ? '<' : '<='} ${max}` : ''}`;
+        throw new Error(`--${name} expects ${integer ? 'an integer' : 'a number'} ${range}, got "${value}"`);
+    }
+    return num;
+}
+
+function parseCli(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            suite: { type: 'string' },
+            api: { type: 'string' },
+            scenario: { type: 'string' },
+            counts: { type: 'string' },
+            param: { type: 'string', multiple: true },
+            runs: { type: 'string' },
+            adaptive: { type: 'boolean', default: false },
+            'target-ci': { type: 'string' },
+            'min-runs': { type: 'string' },
+            'max-runs': { type: 'string' },
+            warmup: { type: 'string' },
+            duration: { type: 'string' },
+            'frames-in-flight': { type: 'string' },
+            'jank-budgets': { type: 'string' },
+            clock: { type: 'string' },
+            seed: { type: 'string' },
+            isolation: { type: 'string' },
+            verify: { type: 'boolean', default: false },
+            parity: { type: 'boolean', default: false },
+            'parity-frame': { type: 'string' },
+            'parity-threshold': { type: 'string' },
+            'parity-tolerance': { type: 'string' },
+            trace: { type: 'boolean', default: false },
+            memory: { type: 'boolean', default: false },
+            out: { type: 'string' },
+            port: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const targetCi = values['target-ci'] !== undefined ? parseNumber('target-ci', values['target-ci'], { min: 0.001 }) : null;
+    const minRuns = values['min-runs'] !== undefined ? parseNumber('min-runs', values['min-runs'], { integer: true, min: 2 }) : null;
+    const maxRuns = values['max-runs'] !== undefined ? parseNumber('max-runs', values['max-runs'], { integer: true, min: 2 }) : null;
+    if (values.clock !== undefined && !CLOCK_MODES.includes(values.clock)) {
+        throw new Error(`--clock expects one of ${CLOCK_MODES.join(', ')}, got "${values.clock}"`);
+    }
+    if (values.isolation !== undefined && !ISOLATION_MODES.includes(values.isolation)) {
+        throw new Error(`--isolation expects one of ${ISOLATION_MODES.join(', ')}, got "${values.isolation}"`);
+    }
+    if (values.seed !== undefined && Number(values.seed) > 0xFFFFFFFF) {
+        throw new Error(`--seed must fit in 32 bits, got "${values.seed}"`);
+    }
+    if (minRuns !== null && maxRuns !== null && minRuns > maxRuns) {
+        throw new Error(`--min-runs (${minRuns}) must not exceed --max-runs (${maxRuns})`);
+    }
+
+    // --param name=list: raw values per parameter, typed against each scenario's schema in buildMatrix
+    const params = {};
+    for (const item of values.param || []) {
+        const eq = item.indexOf('=');
+        const name = item.slice(0, eq).trim();
+        if (eq < 1 || item.slice(eq + 1).trim() === '') throw new Error(`--param expects name=value[,value...], got "${item}"`);
+        if (name === 'count') throw new Error('--param count: use --counts');
+        const schema = SCENARIOS.map(s => s.params[name]).find(p => p);
+        if (!schema) throw new Error(`--param ${name}: no scenario declares this parameter`);
+        const value = item.slice(eq + 1);
+        params[name] = [...(params[name] || []), ...(schema.type === 'color' ? [value] : splitList(value))];
+    }
+
+    return {
+        help: values.help,
+        dryRun: values['dry-run'],
+        suite: values.suite || DEFAULTS.suite,
+        apis: values.api ? splitList(values.api).map(a => a.toLowerCase()) : null,
+        scenarios: values.scenario ? splitList(values.scenario).map(s => s.toUpperCase()) : null,
+        counts: values.counts ? splitList(values.counts).map(c => parseNumber('counts', c, { integer: true, min: 1 })) : null,
+        params: Object.keys(params).length > 0 ? params : null,
+        // null means "use the suite's value"
+        runs: values.runs !== undefined ? parseNumber('runs', values.runs, { integer: true, min: 1 }) : null,
+        // Any adaptive option turns adaptive mode on
+        adaptive: values.adaptive || targetCi !== null || minRuns !== null || maxRuns !== null,
+        targetCi,
+        minRuns,
+        maxRuns,
+        warmup: values.warmup !== undefined ? parseNumber('warmup', values.warmup) : null,
+        duration: values.duration !== undefined ? parseNumber('duration', values.duration, { exclusive: true }) : null,
+        framesInFlight: values['frames-in-flight'] !== undefined ? parseNumber('frames-in-flight', values['frames-in-flight'], { integer: true, min: 1 }) : null,
+        jankBudgets: values['jank-budgets'] !== undefined ? splitList(values['jank-budgets']).map(b => parseNumber('jank-budgets', b, { min: 0.1 })) : null,
+        clock: values.clock ?? null,
+        seed: values.seed !== undefined ? parseNumber('seed', values.seed, { integer: true }) : null,
+        isolation: values.isolation ?? null,
+        verify: values.verify,
+        parity: values.parity,
+        parityFrame: values['parity-frame'] !== undefined ? parseNumber('parity-frame', values['parity-frame'], { integer: true, min: 1 }) : DEFAULTS.parityFrame,
+        parityThreshold: values['parity-threshold'] !== undefined ? parseNumber('parity-threshold', values['parity-threshold']) : DEFAULTS.parityThreshold,
+        parityTolerance: values['parity-tolerance'] !== undefined ? parseNumber('parity-tolerance', values['parity-tolerance']) : DEFAULTS.parityTolerance,
+        trace: values.trace,
+        memory: values.memory,
+        out: values.out || DEFAULTS.out,
+        port: values.port !== undefined ? parseNumber('port', values.port, { integer: true, min: 0 }) : DEFAULTS.port
+    };
+}
+
+function parseCompareCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            tolerance: { type: 'string' },
+            alpha: { type: 'string' },
+            junit: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (!values.help && positionals.length !== 2) {
+        throw new Error('compare expects a baseline and a new results.json');
+    }
+
+    const tolerances = {};
+    for (const item of values.tolerance ? splitList(values.tolerance) : []) {
+        const [metric, value] = item.split('=');
+        if (!metric || value === undefined) throw new Error(`--tolerance expects metric=value pairs, got "${item}"`);
+        tolerances[metric] = parseNumber('tolerance', value);
+    }
+
+    return {
+        help: values.help,
+        baseline: positionals[0],
+        current: positionals[1],
+        tolerances,
+        alpha: values.alpha !== undefined ? parseNumber('alpha', values.alpha, { max: 1, exclusive: true }) : DEFAULTS.alpha,
+        junit: values.junit || null
+    };
+}
+
+// Estimated wall-clock time of an expanded matrix in milliseconds. Adaptive
+// configurations are counted at their maximum number of runs.
+function estimateDuration(configs) {
+    return configs.reduce((total, c) => total + c.runs * (c.warmup + c.duration * 1000 + RUN_OVERHEAD_MS), 0);
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    if (h > 0) return `${h}h ${m}m ${s}s`;
+    if (m > 0) return `${m}m ${s}s`;
+    return `${s}s`;
+}
+
+module.exports = { USAGE, DEFAULTS, CLOCK_MODES, parseCli, parseCompareCli, estimateDuration, formatDuration };
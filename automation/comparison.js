@@ -0,0 +1,89 @@
+const { mean, variance, bootstrapRatioCI, welchTTest, mannWhitneyU, hedgesG } = require('./stats');
+const { sharedParams, paramsKey } = require('./registry');
+
+// Per-run metrics compared between the APIs. Ratios are always WebGPU / WebGL, so
+// for FPS a ratio above 1 favours WebGPU and for the time metrics one below 1 does.
+const COMPARISON_METRICS = [
+    { key: 'fps', label: 'Mean FPS', higherIsBetter: true },
+    { key: 'frameTime', label: 'Mean frame time (ms)', higherIsBetter: false },
+    { key: 'cpuTime', label: 'Mean CPU time (ms)', higherIsBetter: false },
+    { key: 'gpuTime', label: 'Mean GPU time (ms)', higherIsBetter: false }
+];
+
+const COMPARISON_DEFAULTS = {
+    confidence: 0.95,
+    alpha: 0.05,
+    iterations: 10000,
+    seed: 1
+};
+
+const describe = samples => ({
+    n: samples.length,
+    mean: mean(samples),
+    std: samples.length > 1 ? Math.sqrt(variance(samples)) : 0
+});
+
+// Parameters both APIs take, as a key; API-specific ones (e.g. the WebGPU
+// workgroup size) do not keep a configuration from being compared
+const sharedKey = r => paramsKey(sharedParams(r.scenario, r.params));
+
+// One entry per (scenario, count, parameters, metric) that both APIs completed. A
+// WebGPU-only sweep gives one entry per WebGPU value, all against the same WebGL runs.
+function compareApis(data, settings = {}) {
+    const { confidence, alpha, iterations, seed } = { ...COMPARISON_DEFAULTS, ...settings };
+    const ok = data.filter(r => !r.error && r.samples);
+
+    const comparisons = [];
+    for (const webgl of ok.filter(r => r.api === 'webgl')) {
+        const matches = ok.filter(r => r.api === 'webgpu' && r.scenario === webgl.scenario && r.count === webgl.count && sharedKey(r) === sharedKey(webgl));
+        for (const webgpu of matches) {
+            for (const metric of COMPARISON_METRICS) {
+                const a = webgl.samples[metric.key] || [];
+                const b = webgpu.samples[metric.key] || [];
+                if (a.length === 0 || b.length === 0) continue;
+
+                const ci = bootstrapRatioCI(a, b, { iterations, confidence, seed });
+                const welch = welchTTest(a, b);
+                const mannWhitney = mannWhitneyU(a, b);
+                comparisons.push({
+                    scenario: webgl.scenario,
+                    count: webgl.count,
+                    params: { ...webgl.params, ...webgpu.params },
+                    metric: metric.key,
+                    higherIsBetter: metric.higherIsBetter,
+                    webgl: describe(a),
+                    webgpu: describe(b),
+                    ratio: ci.ratio,
+                    ratioCI: [ci.low, ci.high],
+                    welch,
+                    mannWhitney,
+                    effectSize: {
+                        hedgesG: hedgesG(a, b),
+                        rankBiserial: mannWhitney ? mannWhitney.rankBiserial : null
+                    },
+                    // Welch when it is defined, otherwise the rank test
+                    significant: (welch || mannWhitney).p < alpha
+                });
+            }
+        }
+    }
+
+    return {
+        settings: { confidence, alpha, bootstrapIterations: iterations, seed, ratio: 'webgpu / webgl' },
+        comparisons
+    };
+}
+
+function printComparison(comparison) {
+    const fps = comparison.comparisons.filter(c => c.metric === 'fps');
+    if (fps.length === 0) return;
+    const pct = Math.round(comparison.settings.confidence * 100);
+    console.log(`\nWebGPU / WebGL FPS ratio (${pct}% bootstrap CI, Welch p):`);
+    for (const c of fps) {
+        const p = c.welch ? c.welch.p.toPrecision(2) : 'n/a';
+        const params = paramsKey(c.params);
+        console.log(`  Scenario ${c.scenario} count=${String(c.count).padEnd(7)}${params ? ` ${params}` : ''} ${c.ratio.toFixed(3)} [${c.ratioCI[0].toFixed(3)}, ${c.ratioCI[1].toFixed(3)}]  p=${p}${c.significant ? ' *' : ''}`);
+    }
+}
+
+module.exports = { COMPARISON_METRICS, COMPARISON_DEFAULTS, compareApis, printComparison };
@@ -0,0 +1,28 @@
+// Failed runs as typed records { run, category, message, api, scenario, count, phase, shaderLog }.
+// The page reports its own failures with a category (metrics/errors.js); anything
+// else thrown on the Node side (navigation, protocol errors) is a 'runner' failure.
+function runFailure(error, config, run) {
+    const { api, scenario, count } = config;
+    const typed = error && typeof error === 'object' && typeof error.category === 'string';
+    return {
+        run,
+        category: typed ? error.category : 'runner',
+        message: error instanceof Error || typed ? error.message : String(error),
+        api,
+        scenario,
+        count,
+        phase: (typed && error.phase) || null,
+        shaderLog: (typed && error.shaderLog) || null
+    };
+}
+
+const describeFailure = f => `${f.category}${f.phase ? ` during ${f.phase}` : ''}: ${f.message}`;
+
+// Failure counts per category, e.g. "shader-compile:2 timeout:1"
+function failureSummary(failures) {
+    const counts = {};
+    for (const f of failures) counts[f.category] = (counts[f.category] || 0) + 1;
+    return Object.entries(counts).map(([category, n]) => `${category}:${n}`).join(' ');
+}
+
+module.exports = { runFailure, describeFailure, failureSummary };
@@ -0,0 +1,51 @@
+// JS heap of the benchmark page over CDP (--memory). The heap is sampled outside the
+// recording window only: the page asks for a sample after init and once recording
+// ends (window.__BENCHMARK_HEAP_SAMPLE__), and the runner takes one after a forced
+// GC. The page itself accounts for buffers and textures (metrics/ResourceTracker.js).
+const HEAP_SAMPLE_BINDING = '__BENCHMARK_HEAP_SAMPLE__';
+
+// Points of a run the page samples the heap at, see scenarios/orchestrator.js and
+// BenchmarkHarness.finalizeResults()
+const HEAP_SAMPLE_POINTS = ['afterInit', 'afterRecording'];
+
+async function enableHeapMetrics(session) {
+    await session.send('Performance.enable');
+    await session.send('HeapProfiler.enable');
+}
+
+async function sampleHeap(session) {
+    const { metrics } = await session.send('Performance.getMetrics');
+    const byName = Object.fromEntries(metrics.map(m => [m.name, m.value]));
+    return { time: Date.now(), used: byName.JSHeapUsedSize, total: byName.JSHeapTotalSize };
+}
+
+// Exposes the sampling binding to the page. onSample(point, sample) receives each
+// sample; one that fails (e.g. during navigation) is skipped rather than failing the run.
+async function exposeHeapSampler(page, session, onSample) {
+    await page.exposeFunction(HEAP_SAMPLE_BINDING, async point => {
+        if (!HEAP_SAMPLE_POINTS.includes(point)) return;
+        const sample = await sampleHeap(session).catch(() => null);
+        if (sample) onSample(point, sample);
+    });
+}
+
+// Heap still in use once a full garbage collection has run
+async function heapAfterGc(session) {
+    await session.send('HeapProfiler.collectGarbage');
+    return sampleHeap(session);
+}
+
+// heap is { afterInit, afterRecording, afterGc }, each a sample or null
+function summarizeHeap({ afterInit, afterRecording, afterGc }) {
+    const used = sample => sample ? sample.used : null;
+    return {
+        afterInitUsedBytes: used(afterInit),
+        afterRecordingUsedBytes: used(afterRecording),
+        afterRecordingTotalBytes: afterRecording ? afterRecording.total : null,
+        // What the warmup and recording frames left on the heap
+        growthBytes: afterInit && afterRecording ? afterRecording.used - afterInit.used : null,
+        afterGcUsedBytes: used(afterGc)
+    };
+}
+
+module.exports = { enableHeapMetrics, exposeHeapSampler, heapAfterGc, summarizeHeap };
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { paramsKey } = require('./registry');
+
+// Generates the numbers of paper/main.tex from a results.json: table fragments
+// (\input from the paper), pgfplots .dat files and a macro file for numbers quoted
+// in the text. Everything is written to paper/generated/.
+const USAGE = `Usage: node automation/paper.js [options]
+
+Options:
+  --results <file>    results.json to read (default results/results.json)
+  --comparison <file> comparison.json with bootstrap CIs (default: next to the results, if present)
+  --out <dir>         Output directory (default paper/generated)
+  -h, --help          Show this help
+`;
+
+const DEFAULT_OUT = path.join(__dirname, '..', 'paper', 'generated');
+
+// Configurations of the cross-scenario init-time table and figure
+const INIT_CONFIGS = [
+    { scenario: 'A', count: 1, label: 'A (Baseline)' },
+    { scenario: 'B', count: 1000, label: 'B (1{,}000 inst.)' },
+    { scenario: 'C', count: 100000, label: 'C (100K part.)' },
+    { scenario: 'D', count: 512, label: 'D (512 matmul)' },
+    { scenario: 'E', count: 5000, label: 'E (5{,}000 obj.)' },
+    { scenario: 'E', count: 10000, label: 'E (10{,}000 obj.)' }
+];
+
+// Per-configuration values exposed as \benchval{api}{scenario}{count}{key}
+const VALUE_KEYS = {
+    fps: r => r.meanFps,
+    stdfps: r => r.stdFps,
+    frametime: r => r.meanFrameTime,
+    p95: r => r.frameTime ? r.frameTime.p95 : r.meanP95FrameTime, // older results only have the mean of per-run p95s
+    p99: r => r.frameTime?.p99,
+    cpu: r => r.meanCpuTime,
+    gpu: r => r.meanGpuTime || null,
+    init: r => r.meanInitTime,
+    cpushare: r => r.meanCpuTime / r.meanFrameTime * 100, // % of the frame time spent on the CPU
+    p95mean: r => VALUE_KEYS.p95(r) / r.meanFrameTime // tail-to-mean ratio
+};
+
+// Decimals used in the text; everything else gets two
+const KEY_DIGITS = { cpushare: 1, p95mean: 1, cpusaving: 1, fpsdiff: 1, initratio: 1 };
+const digitsFor = key => KEY_DIGITS[key.replace(/(min|max)$/, '')] ?? 2;
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+// 1439.14 -> 1{,}439.14, the grouping the paper uses
+function texNumber(value, digits = 2) {
+    if (!isNumber(value)) return '--';
+    const [int, frac] = Math.abs(value).toFixed(digits).split('.');
+    const grouped = int.replace(/\B(?=(\d{3})+(?!\d))/g, '{,}');
+    return `${value < 0 ? '-' : ''}${grouped}${frac ? '.' + frac : ''}`;
+}
+
+// Values in .dat files: plain numbers, nan when missing
+const datNumber = (value, digits = 4) => isNumber(value) ? Number(value.toFixed(digits)).toString() : 'nan';
+
+// 10000 -> 10K, the axis and table labels of the paper
+const countLabel = count => count >= 1000 && count % 1000 === 0 ? `${count / 1000}K` : String(count);
+
+const ratio = (a, b) => isNumber(a) && isNumber(b) && b !== 0 ? a / b : null;
+const saving = (gl, gpu) => isNumber(gl) && isNumber(gpu) && gl !== 0 ? (gl - gpu) / gl * 100 : null;
+const times = (value, digits = 2) => isNumber(value) ? `${texNumber(value, digits)}$\\times$` : '--';
+const percent = value => isNumber(value) ? `${texNumber(value, 1)}\\%` : '--';
+
+function loadJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+// The paper's configurations: the ones that sweep count only
+const isDefaultParams = r => !paramsKey(r.params);
+
+// results.json entries as pairs { count, gl, gpu } per scenario, sorted by count
+function pairsByScenario(data, comparison) {
+    const ok = data.filter(r => !r.error && isDefaultParams(r));
+    const find = (api, scenario, count) => ok.find(r => r.api === api && r.scenario === scenario && r.count === count);
+    const fpsCI = (scenario, count) => comparison?.comparisons.find(c => c.metric === 'fps' && c.scenario === scenario && c.count === count && !paramsKey(c.params));
+
+    const scenarios = {};
+    for (const scenario of [...new Set(ok.map(r => r.scenario))].sort()) {
+        const counts = [...new Set(ok.filter(r => r.scenario === scenario).map(r => r.count))].sort((a, b) => a - b);
+        scenarios[scenario] = counts.map(count => ({
+            count,
+            gl: find('webgl', scenario, count),
+            gpu: find('webgpu', scenario, count),
+            ci: fpsCI(scenario, count)
+        }));
+    }
+    return scenarios;
+}
+
+const val = (r, key) => r ? VALUE_KEYS[key](r) : null;
+
+// Derived WebGPU-vs-WebGL numbers of one (scenario, count) pair
+function derived(pair) {
+    return {
+        fpsratio: ratio(val(pair.gpu, 'fps'), val(pair.gl, 'fps')),
+        fpsratioinv: ratio(val(pair.gl, 'fps'), val(pair.gpu, 'fps')),
+        fpsratiolow: pair.ci ? pair.ci.ratioCI[0] : null,
+        fpsratiohigh: pair.ci ? pair.ci.ratioCI[1] : null,
+        initratio: ratio(val(pair.gpu, 'init'), val(pair.gl, 'init')),
+        cpuratio: ratio(val(pair.gpu, 'cpu'), val(pair.gl, 'cpu')),
+        p95ratio: ratio(val(pair.gl, 'p95'), val(pair.gpu, 'p95')),
+        cpusaving: saving(val(pair.gl, 'cpu'), val(pair.gpu, 'cpu')),
+        fpsdiff: saving(val(pair.gl, 'fps'), val(pair.gpu, 'fps')) // % fewer FPS for WebGPU
+    };
+}
+
+// --- Table fragments (tabular only; caption and label stay in main.tex) ---
+
+function tabular(spec, header, rows) {
+    return [
+        `\\begin{tabular}{${spec}}`,
+        '\\toprule',
+        ...header,
+        '\\midrule',
+        ...rows.map(r => r.join(' & ') + ' \\\\'),
+        '\\bottomrule',
+        '\\end{tabular}',
+        ''
+    ].join('\n');
+}
+
+// labels: the leading column's label, or an array of them for several leading columns
+const glGpuHeader = (labels, groups) => {
+    const lead = [].concat(labels);
+    return [
+        ' & '.repeat(lead.length) + groups.map(g => `\\multicolumn{2}{c}{\\textbf{${g}}}`).join(' & ') + ' \\\\',
+        groups.map((_, i) => `\\cmidrule(lr){${1 + lead.length + 2 * i}-${2 + lead.length + 2 * i}}`).join(' '),
+        lead.map(l => `\\textbf{${l}} & `).join('') + groups.map(() => '\\textbf{GL} & \\textbf{GPU}').join(' & ') + ' \\\\'
+    ];
+};
+
+function tableScenarioA(pairs) {
+    const pair = pairs[0] || {};
+    const rows = [
+        ['Mean FPS', 'fps'],
+        ['Std FPS ($\\sigma$)', 'stdfps'],
+        ['Mean Frame Time (ms)', 'frametime'],
+        ['P95 Frame Time (ms)', 'p95'],
+        ['Mean CPU Time (ms)', 'cpu'],
+        ['Mean Init Time (ms)', 'init']
+    ].map(([label, key]) => [label, texNumber(val(pair.gl, key)), texNumber(val(pair.gpu, key))]);
+    return tabular('@{}lcc@{}', ['\\textbf{Metric} & \\textbf{WebGL 2.0} & \\textbf{WebGPU} \\\\'], rows);
+}
+
+function tableScenarioB(pairs) {
+    const rows = pairs.map(p => [countLabel(p.count),
+        texNumber(val(p.gl, 'fps')), texNumber(val(p.gpu, 'fps')),
+        texNumber(val(p.gl, 'cpu')), texNumber(val(p.gpu, 'cpu')),
+        texNumber(val(p.gl, 'p95')), texNumber(val(p.gpu, 'p95'))]);
+    return tabular('@{}rrrrrrr@{}', glGpuHeader('N', ['Mean FPS', 'CPU Time (ms)', 'P95 (ms)']), rows);
+}
+
+function tableScenarioC(pairs) {
+    const header = glGpuHeader('Particles', ['Mean FPS', 'CPU Time (ms)']);
+    header[0] = header[0].replace(' \\\\', ' & \\textbf{CPU} \\\\');
+    header[2] = header[2].replace(' \\\\', ' & \\textbf{Savings} \\\\');
+    const rows = pairs.map(p => [countLabel(p.count),
+        texNumber(val(p.gl, 'fps')), texNumber(val(p.gpu, 'fps')),
+        texNumber(val(p.gl, 'cpu')), texNumber(val(p.gpu, 'cpu')),
+        percent(derived(p).cpusaving)]);
+    return tabular('@{}rrrrrr@{}', header, rows);
+}
+
+// Matrix side of a Scenario D configuration as the page recorded it, null for
+// results without a workload record
+const matrixSide = p => p.gl?.workload?.matrixSize ?? p.gpu?.workload?.matrixSize ?? null;
+
+function tableScenarioD(pairs) {
+    const rows = pairs.map(p => [countLabel(p.count), matrixSide(p) !== null ? String(matrixSide(p)) : 'n/a',
+        texNumber(val(p.gl, 'fps')), texNumber(val(p.gpu, 'fps')),
+        texNumber(val(p.gl, 'frametime')), texNumber(val(p.gpu, 'frametime')),
+        texNumber(val(p.gl, 'init')), texNumber(val(p.gpu, 'init'))]);
+    return tabular('@{}rrcccccc@{}', glGpuHeader(['N', 'Size'], ['Mean FPS', 'Frame Time', 'Init (ms)']), rows);
+}
+
+function tableScenarioE(pairs) {
+    const header = glGpuHeader('N', ['Mean FPS', '$\\sigma_{\\text{FPS}}$']);
+    header[0] = header[0].replace(' \\\\', ' & \\\\');
+    header[2] = header[2].replace(' \\\\', ' & \\textbf{Ratio} \\\\');
+    const rows = pairs.map(p => [countLabel(p.count),
+        texNumber(val(p.gl, 'fps')), texNumber(val(p.gpu, 'fps')),
+        texNumber(val(p.gl, 'stdfps')), texNumber(val(p.gpu, 'stdfps')),
+        times(derived(p).fpsratio)]);
+    return tabular('@{}rrrrrrl@{}', header, rows);
+}
+
+function tableInitTime(scenarios) {
+    const rows = initPairs(scenarios).map(({ label, pair }) => [label,
+        texNumber(val(pair.gl, 'init')), texNumber(val(pair.gpu, 'init')),
+        times(derived(pair).initratio, 1)]);
+    return tabular('@{}lrrr@{}', ['\\textbf{Scenario (Config)} & \\textbf{WebGL} & \\textbf{WebGPU} & \\textbf{Ratio} \\\\'], rows);
+}
+
+function initPairs(scenarios) {
+    return INIT_CONFIGS
+        .map(c => ({ ...c, pair: (scenarios[c.scenario] || []).find(p => p.count === c.count) }))
+        .filter(c => c.pair);
+}
+
+// --- pgfplots data ---
+
+function datTable(columns, rows) {
+    return [columns.join(' '), ...rows.map(r => r.join(' '))].join('\n') + '\n';
+}
+
+// One row per count with both APIs side by side. size (Scenario D) adds a size
+// column and labels the rows with it, n/a where the results do not record it.
+function scenarioDat(pairs, size = null) {
+    const columns = ['count', ...(size ? ['size'] : []), 'label',
+        'gl_fps', 'gpu_fps', 'gl_stdfps', 'gpu_stdfps', 'gl_frametime', 'gpu_frametime',
+        'gl_p95', 'gpu_p95', 'gl_p99', 'gpu_p99', 'gl_cpu', 'gpu_cpu', 'gl_gpu', 'gpu_gpu', 'gl_init', 'gpu_init',
+        'fps_ratio', 'fps_ratio_low', 'fps_ratio_high', 'init_ratio', 'cpu_saving'];
+    const rows = pairs.map(p => {
+        const d = derived(p);
+        return [p.count, ...(size ? [datNumber(size(p)), size(p) ?? 'n/a'] : [countLabel(p.count)]),
+            ...['fps', 'stdfps', 'frametime', 'p95', 'p99', 'cpu', 'gpu', 'init'].flatMap(key => [datNumber(val(p.gl, key)), datNumber(val(p.gpu, key))]),
+            datNumber(d.fpsratio), datNumber(d.fpsratiolow), datNumber(d.fpsratiohigh), datNumber(d.initratio), datNumber(d.cpusaving)];
+    });
+    return datTable(columns, rows);
+}
+
+// Scenario A bar chart: FPS is scaled by 1/10 to share the axis with the times
+function scenarioABarDat(pairs) {
+    const pair = pairs[0] || {};
+    const rows = [
+        ['{FPS ($\\div$10)}', v => v / 10, 'fps'],
+        ['{Frame Time (ms)}', v => v, 'frametime'],
+        ['{CPU Time (ms)}', v => v, 'cpu']
+    ].map(([label, scale, key]) => {
+        const gl = val(pair.gl, key);
+        const gpu = val(pair.gpu, key);
+        return [label, datNumber(isNumber(gl) ? scale(gl) : null), datNumber(isNumber(gpu) ? scale(gpu) : null)];
+    });
+    return datTable(['label', 'gl', 'gpu'], rows);
+}
+
+function initTimeDat(scenarios) {
+    const rows = initPairs(scenarios).map(({ scenario, count, pair }) => [
+        scenario === 'A' ? 'A' : `${scenario}-${countLabel(count)}`,
+        datNumber(val(pair.gl, 'init')),
+        datNumber(val(pair.gpu, 'init'))
+    ]);
+    return datTable(['label', 'gl', 'gpu'], rows);
+}
+
+// Cross-scenario FPS ratio, every configuration both APIs completed
+function summaryRatioDat(scenarios) {
+    const rows = [];
+    for (const [scenario, pairs] of Object.entries(scenarios)) {
+        for (const p of pairs) {
+            const d = derived(p);
+            if (!isNumber(d.fpsratio)) continue;
+            const label = scenario === 'A' ? `{A (${p.count})}` : `${scenario}-${countLabel(p.count)}`;
+            rows.push([label, datNumber(d.fpsratio, 3), datNumber(d.fpsratiolow, 3), datNumber(d.fpsratiohigh, 3)]);
+        }
+    }
+    return datTable(['label', 'ratio', 'ratio_low', 'ratio_high'], rows);
+}
+
+// --- Macros for numbers quoted in the text ---
+
+function macros(results, scenarios) {
+    const defs = [];
+    const def = (name, value) => defs.push(`\\expandafter\\def\\csname bench@${name}\\endcsname{${value}}`);
+
+    // Ranges over all counts of a scenario, e.g. "1.6--2.3x"
+    const defRange = (prefix, key, values) => {
+        const present = values.filter(isNumber);
+        if (present.length === 0) return;
+        def(`${prefix}@all@${key}min`, texNumber(Math.min(...present), digitsFor(key)));
+        def(`${prefix}@all@${key}max`, texNumber(Math.max(...present), digitsFor(key)));
+    };
+
+    const ok = results.data.filter(r => !r.error && isDefaultParams(r));
+    for (const r of ok) {
+        for (const key of Object.keys(VALUE_KEYS)) {
+            if (isNumber(VALUE_KEYS[key](r))) def(`${r.api}@${r.scenario}@${r.count}@${key}`, texNumber(VALUE_KEYS[key](r), digitsFor(key)));
+        }
+    }
+    for (const api of [...new Set(ok.map(r => r.api))]) {
+        for (const scenario of Object.keys(scenarios)) {
+            const rows = ok.filter(r => r.api === api && r.scenario === scenario);
+            for (const key of Object.keys(VALUE_KEYS)) defRange(`${api}@${scenario}`, key, rows.map(VALUE_KEYS[key]));
+        }
+    }
+
+    for (const [scenario, pairs] of Object.entries(scenarios)) {
+        const all = pairs.map(derived);
+        pairs.forEach((p, i) => {
+            for (const [key, value] of Object.entries(all[i])) {
+                if (isNumber(value)) def(`cmp@${scenario}@${p.count}@${key}`, texNumber(value, digitsFor(key)));
+            }
+        });
+        for (const key of Object.keys(all[0] || {})) defRange(`cmp@${scenario}`, key, all.map(d => d[key]));
+    }
+
+    const meta = results.metadata || {};
+    return [
+        '% Generated by automation/paper.js -- do not edit by hand.',
+        '% \\benchval{api}{scenario}{count}{key}: fps, stdfps, frametime, p95, p99, cpu, gpu, init,',
+        '%   cpushare (CPU time as % of frame time), p95mean (p95 / mean frame time)',
+        '% \\benchcmp{scenario}{count}{key}: fpsratio (WebGPU/WebGL), fpsratioinv, fpsratiolow/high (bootstrap CI),',
+        '%   initratio and cpuratio (WebGPU/WebGL), p95ratio (WebGL/WebGPU), cpusaving and fpsdiff (percent)',
+        '% Count "all" with a min/max suffix on the key gives the range over the counts of a scenario.',
+        '% Missing values render as ??.',
+        '\\providecommand{\\benchlookup}[1]{\\ifcsname bench@#1\\endcsname\\csname bench@#1\\endcsname\\else\\textbf{??}\\fi}',
+        '\\providecommand{\\benchval}[4]{\\benchlookup{#1@#2@#3@#4}}',
+        '\\providecommand{\\benchcmp}[3]{\\benchlookup{cmp@#1@#2@#3}}',
+        `\\providecommand{\\benchdate}{${(meta.date || '').slice(0, 10)}}`,
+        `\\providecommand{\\benchsuite}{${meta.suite ? meta.suite.name : 'unknown'}}`,
+        ...defs,
+        ''
+    ].join('\n');
+}
+
+function main() {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: process.argv.slice(2),
+            options: {
+                results: { type: 'string' },
+                comparison: { type: 'string' },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (e) {
+        console.error(`Error: ${e.message}\n`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const resultsFile = path.resolve(values.results || path.join('results', 'results.json'));
+    const comparisonFile = path.resolve(values.comparison || path.join(path.dirname(resultsFile), 'comparison.json'));
+    const outDir = path.resolve(values.out || DEFAULT_OUT);
+
+    const results = loadJson(resultsFile);
+    const comparison = fs.existsSync(comparisonFile) ? loadJson(comparisonFile) : null;
+    const scenarios = pairsByScenario(results.data, comparison);
+    const pairs = id => scenarios[id] || [];
+
+    const files = {
+        'results.tex': macros(results, scenarios),
+        'table_scenario_a.tex': tableScenarioA(pairs('A')),
+        'table_scenario_b.tex': tableScenarioB(pairs('B')),
+        'table_scenario_c.tex': tableScenarioC(pairs('C')),
+        'table_scenario_d.tex': tableScenarioD(pairs('D')),
+        'table_scenario_e.tex': tableScenarioE(pairs('E')),
+        'table_init_time.tex': tableInitTime(scenarios),
+        'scenario_a_bar.dat': scenarioABarDat(pairs('A')),
+        'scenario_b.dat': scenarioDat(pairs('B')),
+        'scenario_c.dat': scenarioDat(pairs('C')),
+        'scenario_d.dat': scenarioDat(pairs('D'), matrixSide),
+        'scenario_e.dat': scenarioDat(pairs('E')),
+        'init_time.dat': initTimeDat(scenarios),
+        'summary_ratio.dat': summaryRatioDat(scenarios)
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(outDir, name), content);
+    }
+    console.log(`Wrote ${Object.keys(files).length} files to ${outDir}${comparison ? '' : ' (no comparison.json, CIs left empty)'}`);
+}
+
+main();
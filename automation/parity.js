@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { paramsFileSuffix } = require('./registry');
+
+// Rendering parity (--parity): both backends render a configuration up to the same
+// frame, the canvases are captured and compared with a perceptual per-pixel metric.
+// Captures and the diff image go to <out>/parity/<scenario>_<count>[_<param>-<value>...]_<name>.png.
+const PARITY_DIR = 'parity';
+
+const parityFile = (resultsDir, { scenario, count, params }, name) => path.join(resultsDir, PARITY_DIR, `${scenario}_${count}${paramsFileSuffix(params)}_${name}.png`);
+
+// Runs in the page. Compares two PNG data URLs with the YIQ colour difference of
+// Kotsarenko & Ramos (the metric pixelmatch uses); a pixel differs when its delta
+// exceeds threshold² of the maximum. The diff image shows differing pixels in red
+// over a faded grey copy of the reference.
+async function diffImagesInPage(referenceUrl, candidateUrl, threshold) {
+    const MAX_DELTA = 35215;
+
+    const load = async url => {
+        const bitmap = await createImageBitmap(await (await fetch(url)).blob());
+        const ctx = new OffscreenCanvas(bitmap.width, bitmap.height).getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    };
+
+    // Translucent pixels are blended onto white first
+    const blend = (c, a) => 255 + (c - 255) * a;
+    const yiq = (data, i) => {
+        const a = data[i + 3] / 255;
+        const r = blend(data[i], a), g = blend(data[i + 1], a), b = blend(data[i + 2], a);
+        return [
+            r * 0.29889531 + g * 0.58662247 + b * 0.11448223,
+            r * 0.59597799 - g * 0.27417610 - b * 0.32180189,
+            r * 0.21147017 - g * 0.52261711 + b * 0.31114694
+        ];
+    };
+
+    const [reference, candidate] = await Promise.all([load(referenceUrl), load(candidateUrl)]);
+    if (reference.width !== candidate.width || reference.height !== candidate.height) {
+        return { sizeMismatch: `${reference.width}x${reference.height} vs ${candidate.width}x${candidate.height}` };
+    }
+
+    const limit = MAX_DELTA * threshold * threshold;
+    const diff = new ImageData(reference.width, reference.height);
+    let differing = 0;
+    let deltaSum = 0;
+    for (let i = 0; i < reference.data.length; i += 4) {
+        const [y1, i1, q1] = yiq(reference.data, i);
+        const [y2, i2, q2] = yiq(candidate.data, i);
+        const delta = 0.5053 * (y1 - y2) ** 2 + 0.299 * (i1 - i2) ** 2 + 0.1957 * (q1 - q2) ** 2;
+        deltaSum += delta;
+        if (delta > limit) {
+            differing++;
+            diff.data.set([255, 0, 0, 255], i);
+        } else {
+            const grey = blend(y1, 0.1);
+            diff.data.set([grey, grey, grey, 255], i);
+        }
+    }
+
+    const canvas = new OffscreenCanvas(reference.width, reference.height);
+    canvas.getContext('2d').putImageData(diff, 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    const diffImage = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(blob);
+    });
+
+    const pixels = reference.width * reference.height;
+    return {
+        width: reference.width,
+        height: reference.height,
+        differingPixels: differing,
+        differingRatio: differing / pixels,
+        meanDelta: deltaSum / pixels / MAX_DELTA,
+        diffImage
+    };
+}
+
+function writeDataUrl(file, dataUrl) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'));
+}
+
+// Compares the WebGL and WebGPU captures ({ frame, width, height, image }) of a
+// configuration, writes the images and returns the parity record stored with both
+// results.json entries. WebGL is the reference.
+async function compareCaptures(page, resultsDir, config, captures, { frame, threshold, tolerance }) {
+    const images = {};
+    for (const api of ['webgl', 'webgpu']) {
+        const file = parityFile(resultsDir, config, api);
+        writeDataUrl(file, captures[api].image);
+        images[api] = path.relative(resultsDir, file);
+    }
+
+    const diff = await page.evaluate(diffImagesInPage, captures.webgl.image, captures.webgpu.image, threshold);
+    const record = { frame, threshold, tolerance, images };
+    if (diff.sizeMismatch) {
+        return { ...record, passed: false, reason: `canvas sizes differ (${diff.sizeMismatch})` };
+    }
+
+    const file = parityFile(resultsDir, config, 'diff');
+    writeDataUrl(file, diff.diffImage);
+    images.diff = path.relative(resultsDir, file);
+
+    const passed = diff.differingRatio <= tolerance;
+    return {
+        ...record,
+        differingPixels: diff.differingPixels,
+        differingRatio: diff.differingRatio,
+        meanDelta: diff.meanDelta,
+        passed,
+        reason: passed ? null : `${(diff.differingRatio * 100).toFixed(2)}% of pixels differ (tolerance ${(tolerance * 100).toFixed(2)}%)`
+    };
+}
+
+module.exports = { PARITY_DIR, parityFile, compareCaptures };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readTraces } = require('./trace');
+const { runRecordFromTrace, aggregateRuns } = require('./aggregate');
+const { writeResults, writeComparison } = require('./report');
+const { compareApis, printComparison } = require('./comparison');
+
+// Rebuilds results.json/csv and comparison.json/csv from the NDJSON traces of an
+// earlier run, without starting the browser.
+const USAGE = `Usage: node automation/reaggregate.js <results dir> [options]
+
+Options:
+  --out <dir>         Where to write the rebuilt results (default: the results dir)
+  --jank-budgets <list>
+                      Recount jank against these budgets in ms instead of the recorded ones
+  -h, --help          Show this help
+`;
+
+function main() {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                out: { type: 'string' },
+                'jank-budgets': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+        if (!values.help && positionals.length !== 1) throw new Error('Expected exactly one results directory');
+    } catch (e) {
+        console.error(`Error: ${e.message}\n`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const sourceDir = path.resolve(positionals[0]);
+    const outDir = path.resolve(values.out || sourceDir);
+    const jankBudgets = values['jank-budgets'] ? values['jank-budgets'].split(',').map(Number).filter(b => b > 0) : null;
+
+    const traces = readTraces(sourceDir);
+    console.log(`Re-aggregating ${traces.length} configurations from ${path.join(sourceDir, 'traces')}`);
+
+    // Keep the metadata of the original run where it is available
+    const resultsFile = path.join(sourceDir, 'results.json');
+    const original = fs.existsSync(resultsFile) ? JSON.parse(fs.readFileSync(resultsFile, 'utf8')).metadata : {};
+    const metadata = { ...original, reaggregated: { date: new Date().toISOString(), source: sourceDir } };
+
+    const data = traces.map(({ config, lines }) => {
+        const runs = lines.filter(l => !l.error).map(runRecordFromTrace);
+        // Failed lines hold the typed failure record (failures.js)
+        const failures = lines.filter(l => l.error).map(l => l.error);
+        return aggregateRuns({ ...config, jankBudgets: jankBudgets || config.jankBudgets }, runs, lines.length, failures);
+    });
+
+    const finalResults = { metadata, data };
+    writeResults(outDir, finalResults);
+
+    const comparison = compareApis(data);
+    writeComparison(outDir, metadata, comparison);
+    printComparison(comparison);
+
+    console.log(`Done! Results saved to ${outDir}`);
+}
+
+main();
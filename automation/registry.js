@@ -0,0 +1,50 @@
+// Scenario metadata and parameter schemas, shared with the page (scenarios/registry.js).
+// Like there, the canvas context options count as parameters of every scenario.
+const registry = require('../scenarios/registry.json');
+const { parseParamValue: parseParam } = require('../scenarios/params.js');
+
+const CONTEXT_OPTIONS = registry.contextOptions;
+const SCENARIOS = registry.scenarios.map(s => ({ ...s, params: { ...s.params, ...CONTEXT_OPTIONS } }));
+
+const scenarioById = id => SCENARIOS.find(s => s.id === id) || null;
+
+// Supported count range of every scenario, e.g. { B: { min: 1, max: 100000 } }. Upper
+// bounds follow the caps inside the implementations (Scenario D stops growing at a
+// 1024x1024 matrix).
+const SCENARIO_RANGES = Object.fromEntries(SCENARIOS.map(s => [s.id, { min: s.params.count.min, max: s.params.count.max }]));
+
+// Typed value of a scenario parameter from a suite (JSON) or the CLI (string), with
+// the page's own parsing (scenarios/params.js). Throws on bad values.
+function parseParamValue(scenario, name, value) {
+    const schema = scenarioById(scenario)?.params[name];
+    if (!schema) {
+        throw new Error(`Scenario ${scenario} has no parameter ${name} (expected one of ${Object.keys(scenarioById(scenario)?.params || {}).join(', ')})`);
+    }
+    const parsed = parseParam(schema, value);
+    if ('expected' in parsed) {
+        throw new Error(`Scenario ${scenario} parameter ${name} expects ${parsed.expected}, got ${JSON.stringify(value)}`);
+    }
+    return parsed.value;
+}
+
+// Whether the api's implementation of the scenario takes the parameter
+const paramAppliesTo = (scenario, name, api) => {
+    const apis = scenarioById(scenario)?.params[name]?.apis;
+    return !apis || apis.includes(api);
+};
+
+// Parameters both APIs take. WebGL and WebGPU configurations that agree on them
+// are compared with each other, whatever their API-specific parameters.
+const sharedParams = (scenario, params = {}) =>
+    Object.fromEntries(Object.entries(params).filter(([name]) => !scenarioById(scenario)?.params[name]?.apis));
+
+// Parameters besides count as a stable string, e.g. "spacing=4,workgroupSize=128";
+// '' for a configuration that only sets count
+const formatParamValue = value => Array.isArray(value) ? value.join(';') : String(value);
+const paramsKey = (params = {}) => Object.keys(params).sort().map(name => `${name}=${formatParamValue(params[name])}`).join(',');
+
+// The same as part of a file name, e.g. "_spacing-4_workgroupSize-128"
+const paramsFileSuffix = (params = {}) => Object.keys(params).sort()
+    .map(name => `_${name}-${formatParamValue(params[name]).replace(/[^A-Za-z0-9.]+/g, '-')}`).join('');
+
+module.exports = { SCENARIOS, CONTEXT_OPTIONS, SCENARIO_RANGES, scenarioById, parseParamValue, paramAppliesTo, sharedParams, paramsKey, paramsFileSuffix };
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { welchTTest } = require('./stats');
+const { paramsKey } = require('./registry');
+
+// Metrics checked by `runner.js compare`. tolerance is the relative change in the
+// bad direction that is accepted; metrics with per-run samples must also differ
+// significantly (Welch's t-test) before they count as a regression or improvement.
+const REGRESSION_METRICS = [
+    { key: 'fps', label: 'Mean FPS', value: r => r.meanFps, samples: r => r.samples?.fps, higherIsBetter: true, tolerance: 0.05 },
+    { key: 'frameTime', label: 'Mean frame time', value: r => r.meanFrameTime, samples: r => r.samples?.frameTime, higherIsBetter: false, tolerance: 0.05 },
+    { key: 'p99FrameTime', label: 'p99 frame time', value: r => r.frameTime?.p99, higherIsBetter: false, tolerance: 0.10 },
+    { key: 'cpuTime', label: 'Mean CPU time', value: r => r.meanCpuTime, samples: r => r.samples?.cpuTime, higherIsBetter: false, tolerance: 0.10 },
+    { key: 'gpuTime', label: 'Mean GPU time', value: r => r.meanGpuTime, samples: r => r.samples?.gpuTime, higherIsBetter: false, tolerance: 0.10 },
+    { key: 'initTime', label: 'Mean init time', value: r => r.meanInitTime, higherIsBetter: false, tolerance: 0.20 }
+];
+
+// Swept parameters are part of a configuration's identity. The committed baseline,
+// results/results.json, was measured before parameter sweeps and has no params:
+// its entries count as default configurations.
+const configKey = r => `${r.api}/${r.scenario}/${r.count}${paramsKey(r.params) ? `/${paramsKey(r.params)}` : ''}`;
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+function loadResults(file) {
+    if (!fs.existsSync(file)) throw new Error(`Results file not found: ${file}`);
+    let results;
+    try {
+        results = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`${file} is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(results.data)) throw new Error(`${file} has no "data" array`);
+    return results;
+}
+
+// One check per metric of a configuration present in both files
+function compareMetric(metric, base, next, { tolerance, alpha }) {
+    const before = metric.value(base);
+    const after = metric.value(next);
+    const check = { metric: metric.key, label: metric.label, baseline: before, current: after, change: null, p: null, tolerance, status: 'unchanged' };
+
+    if (!isNumber(before) || !isNumber(after)) {
+        check.status = 'skipped';
+        check.reason = 'metric not available in both results';
+        return check;
+    }
+
+    check.change = before !== 0 ? (after - before) / Math.abs(before) : 0;
+    const worse = metric.higherIsBetter ? -check.change : check.change;
+
+    const a = metric.samples ? metric.samples(base) || [] : [];
+    const b = metric.samples ? metric.samples(next) || [] : [];
+    const test = welchTTest(a, b);
+    if (test) check.p = test.p;
+    // Without per-run samples the tolerance alone decides
+    const significant = test ? test.p < alpha : true;
+
+    if (worse > tolerance && significant) check.status = 'regression';
+    else if (worse < -tolerance && significant) check.status = 'improvement';
+    return check;
+}
+
+function compareResults(baseline, current, { tolerances = {}, alpha = 0.05 } = {}) {
+    const currentByKey = new Map(current.data.map(r => [configKey(r), r]));
+    const baselineKeys = new Set(baseline.data.map(configKey));
+    const configs = [];
+
+    for (const base of baseline.data) {
+        const key = configKey(base);
+        const next = currentByKey.get(key);
+        const entry = { key, api: base.api, scenario: base.scenario, count: base.count, params: base.params || {}, checks: [] };
+
+        if (base.error) {
+            entry.status = 'skipped';
+            entry.reason = `baseline failed: ${base.error}`;
+        } else if (!next || next.error) {
+            // A configuration that used to work and no longer produces results is a regression
+            entry.status = 'regression';
+            entry.reason = next ? `run failed: ${next.error}` : 'configuration missing from the new results';
+        } else {
+            entry.checks = REGRESSION_METRICS.map(metric => compareMetric(metric, base, next, {
+                tolerance: tolerances[metric.key] ?? metric.tolerance,
+                alpha
+            }));
+            const statuses = entry.checks.map(c => c.status);
+            entry.status = statuses.includes('regression') ? 'regression'
+                : statuses.includes('improvement') ? 'improvement' : 'unchanged';
+        }
+        configs.push(entry);
+    }
+
+    // Configurations only in the new results are reported but cannot regress
+    for (const next of current.data) {
+        if (!baselineKeys.has(configKey(next))) {
+            configs.push({ key: configKey(next), api: next.api, scenario: next.scenario, count: next.count, params: next.params || {}, checks: [], status: 'new' });
+        }
+    }
+
+    const count = status => configs.filter(c => c.status === status).length;
+    return {
+        alpha,
+        configs,
+        summary: {
+            regressions: count('regression'),
+            improvements: count('improvement'),
+            unchanged: count('unchanged'),
+            skipped: count('skipped'),
+            new: count('new')
+        }
+    };
+}
+
+const formatValue = v => isNumber(v) ? v.toFixed(2) : '-';
+const formatChange = c => isNumber(c) ? `${c >= 0 ? '+' : ''}${(c * 100).toFixed(1)}%` : '-';
+
+function printRegressionTable(report) {
+    const rows = [['Config', 'Metric', 'Baseline', 'New', 'Change', 'p', 'Status']];
+    for (const config of report.configs) {
+        if (config.checks.length === 0) {
+            rows.push([config.key, '-', '-', '-', '-', '-', config.reason ? `${config.status} (${config.reason})` : config.status]);
+            continue;
+        }
+        for (const c of config.checks) {
+            if (c.status === 'skipped') continue;
+            rows.push([config.key, c.label, formatValue(c.baseline), formatValue(c.current), formatChange(c.change),
+                c.p === null ? '-' : c.p.toPrecision(2), c.status === 'unchanged' ? '' : c.status.toUpperCase()]);
+        }
+    }
+
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+    rows.forEach((row, i) => {
+        console.log(row.map((cell, j) => String(cell).padEnd(widths[j])).join('  ').trimEnd());
+        if (i === 0) console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    });
+
+    const s = report.summary;
+    console.log(`\n${s.regressions} regressed, ${s.improvements} improved, ${s.unchanged} unchanged, ${s.skipped} skipped, ${s.new} new`);
+}
+
+const xmlEscape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const testName = config => `count=${config.count}${paramsKey(config.params) ? ` ${paramsKey(config.params)}` : ''}`;
+
+// One test case per (configuration, metric); failures are regressions
+function toJUnit(report) {
+    const cases = [];
+    for (const config of report.configs) {
+        const classname = xmlEscape(`${config.api}.Scenario${config.scenario}`);
+        if (config.checks.length === 0) {
+            const name = xmlEscape(testName(config));
+            if (config.status === 'regression') {
+                cases.push(`    <testcase classname="${classname}" name="${name}"><failure message="${xmlEscape(config.reason)}"/></testcase>`);
+            } else {
+                cases.push(`    <testcase classname="${classname}" name="${name}"><skipped message="${xmlEscape(config.reason || config.status)}"/></testcase>`);
+            }
+            continue;
+        }
+        for (const c of config.checks) {
+            const name = xmlEscape(`${testName(config)} ${c.metric}`);
+            const detail = `${c.label}: ${formatValue(c.baseline)} -> ${formatValue(c.current)} (${formatChange(c.change)}, tolerance ${(c.tolerance * 100).toFixed(0)}%${c.p === null ? '' : `, p=${c.p.toPrecision(2)}`})`;
+            if (c.status === 'regression') {
+                cases.push(`    <testcase classname="${classname}" name="${name}"><failure message="${xmlEscape(detail)}"/></testcase>`);
+            } else if (c.status === 'skipped') {
+                cases.push(`    <testcase classname="${classname}" name="${name}"><skipped message="${xmlEscape(c.reason)}"/></testcase>`);
+            } else {
+                cases.push(`    <testcase classname="${classname}" name="${name}"><system-out>${xmlEscape(`${c.status}: ${detail}`)}</system-out></testcase>`);
+            }
+        }
+    }
+
+    const failures = cases.filter(c => c.includes('<failure')).length;
+    const skipped = cases.filter(c => c.includes('<skipped')).length;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="benchmark-regression" tests="${cases.length}" failures="${failures}">`,
+        `  <testsuite name="benchmark-regression" tests="${cases.length}" failures="${failures}" skipped="${skipped}" timestamp="${new Date().toISOString()}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+function writeJUnit(file, report) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, toJUnit(report));
+}
+
+module.exports = { REGRESSION_METRICS, loadResults, compareResults, printRegressionTable, toJUnit, writeJUnit };
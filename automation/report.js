@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { failureSummary } = require('./failures');
+const { paramsKey } = require('./registry');
+
+const fixed = value => (value === null || value === undefined || Number.isNaN(value)) ? '' : value.toFixed(2);
+const kb = bytes => typeof bytes === 'number' ? bytes / 1024 : null;
+const mb = bytes => typeof bytes === 'number' ? bytes / (1024 * 1024) : null;
+
+function csvEscape(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One entry per results.csv column. Rows with an error only fill the key columns.
+const CSV_COLUMNS = [
+    { header: 'API', value: r => r.api, key: true },
+    { header: 'Scenario', value: r => r.scenario, key: true },
+    { header: 'Count', value: r => r.count, key: true },
+    // Swept parameters besides count, e.g. spacing=4,workgroupSize=128
+    { header: 'Params', value: r => paramsKey(r.params), key: true },
+    { header: 'Runs', value: r => r.runsSuccessful },
+    { header: 'RunsAttempted', value: r => r.runsAttempted, key: true },
+    { header: 'Seed', value: r => r.seed },
+    { header: 'Clock', value: r => r.clock?.mode },
+    { header: 'Isolation', value: r => r.isolation },
+    // Canvas context in effect; WebGL picks its own sample count for antialias
+    { header: 'SampleCount', value: r => r.context?.sampleCount },
+    { header: 'CanvasFormat', value: r => r.context?.canvasFormat },
+    { header: 'FpsCIWidth_pct', value: r => fixed(r.adaptive?.achievedCi * 100) },
+    { header: 'Converged', value: r => r.adaptive ? r.adaptive.converged : '' },
+    { header: 'OutlierRuns', value: r => r.outliers ? [...new Set(r.outliers.map(o => o.run))].join(' ') : '' },
+    { header: 'MeanFPS', value: r => fixed(r.meanFps) },
+    { header: 'StdFPS', value: r => fixed(r.stdFps) },
+    { header: 'MeanFrameTime_ms', value: r => fixed(r.meanFrameTime) },
+    { header: 'StdFrameTime_ms', value: r => fixed(r.stdFrameTime) },
+    // Frame-time distribution over the frames of all runs
+    { header: 'MinFrameTime_ms', value: r => fixed(r.frameTime?.min) },
+    { header: 'P50FrameTime_ms', value: r => fixed(r.frameTime?.p50) },
+    { header: 'P90FrameTime_ms', value: r => fixed(r.frameTime?.p90) },
+    { header: 'P95FrameTime_ms', value: r => fixed(r.frameTime?.p95) },
+    { header: 'P99FrameTime_ms', value: r => fixed(r.frameTime?.p99) },
+    { header: 'P99.9FrameTime_ms', value: r => fixed(r.frameTime?.p999) },
+    { header: 'MaxFrameTime_ms', value: r => fixed(r.frameTime?.max) },
+    { header: 'MeanCpuTime_ms', value: r => fixed(r.meanCpuTime) },
+    { header: 'MeanGpuTime_ms', value: r => fixed(r.meanGpuTime) },
+    { header: 'GpuTiming', value: r => r.gpuTiming ? (r.gpuTiming.supported ? r.gpuTiming.source : `unavailable: ${r.gpuTiming.reason}`) : '' },
+    { header: 'MeanInitTime_ms', value: r => fixed(r.meanInitTime) },
+    // Scenario D only; GFLOPS over the frame time are Throughput_gflop_per_s
+    { header: 'GpuGFLOPS', value: r => fixed(r.compute?.meanGpuGflops) },
+    { header: 'Verified', value: r => r.verification ? (r.verification.passed ? 'pass' : 'FAIL') : '' },
+    // Memory (--memory): JS heap over CDP, buffers/textures as counted in the page
+    { header: 'JsHeapAfterInit_MB', value: r => fixed(mb(r.memory?.jsHeap?.afterInitUsedBytes)) },
+    { header: 'JsHeapAfterRecording_MB', value: r => fixed(mb(r.memory?.jsHeap?.afterRecordingUsedBytes)) },
+    { header: 'JsHeapAfterGc_MB', value: r => fixed(mb(r.memory?.jsHeap?.afterGcUsedBytes)) },
+    { header: 'BuffersCreated', value: r => r.memory?.resources ? Math.round(r.memory.resources.buffers.created) : '' },
+    { header: 'BufferPeak_KB', value: r => fixed(kb(r.memory?.resources?.buffers.peakBytes)) },
+    { header: 'BufferSteady_KB', value: r => fixed(kb(r.memory?.resources?.buffers.steadyBytes)) },
+    { header: 'TexturesCreated', value: r => r.memory?.resources ? Math.round(r.memory.resources.textures.created) : '' },
+    { header: 'TexturePeak_KB', value: r => fixed(kb(r.memory?.resources?.textures.peakBytes)) },
+    { header: 'TextureSteady_KB', value: r => fixed(kb(r.memory?.resources?.textures.steadyBytes)) },
+    // Chrome trace summaries, empty without --trace
+    { header: 'TraceGpuBusy_ms', value: r => fixed(r.chromeTrace?.meanGpuBusyMs) },
+    { header: 'TraceCompositorFrames', value: r => fixed(r.chromeTrace?.meanCompositorFrames) },
+    { header: 'TraceShaderCompiles', value: r => fixed(r.chromeTrace?.meanShaderCompiles) },
+    { header: 'TraceShaderCompile_ms', value: r => fixed(r.chromeTrace?.meanShaderCompileMs) },
+    { header: 'EffectiveCount', value: r => r.workload ? r.workload.effectiveCount : '' },
+    { header: 'MatrixSize', value: r => r.workload ? r.workload.matrixSize : '' },
+    { header: 'WorkloadMismatch', value: r => r.workloadMismatch },
+    // Kept on failed rows too: a parity failure is why the configuration was not measured
+    { header: 'ParityDiff_pct', value: r => fixed(r.parity?.differingRatio * 100), key: true },
+    { header: 'Failures', value: r => failureSummary(r.failures || []), key: true },
+    { header: 'Error', value: r => r.error, key: true }
+];
+
+// Canonical order of the CPU phases the scenarios report; unknown phases go last
+const PHASE_ORDER = ['update', 'upload', 'encode', 'submit'];
+
+function phaseNames(data) {
+    const names = [...new Set(data.flatMap(r => Object.keys(r.phases || {})))];
+    const rank = name => PHASE_ORDER.includes(name) ? PHASE_ORDER.indexOf(name) : PHASE_ORDER.length;
+    return names.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+// Mean/p95 columns for every phase present in the data
+function phaseColumns(data) {
+    return phaseNames(data).flatMap(name => [
+        { header: `Phase_${name}_Mean_ms`, value: r => fixed(r.phases?.[name]?.mean) },
+        { header: `Phase_${name}_P95_ms`, value: r => fixed(r.phases?.[name]?.p95) }
+    ]);
+}
+
+// Frames over each jank budget present in the data
+function jankColumns(data) {
+    const budgets = [...new Set(data.flatMap(r => (r.jank || []).map(j => j.budgetMs)))].sort((a, b) => a - b);
+    const entry = (r, budgetMs) => (r.jank || []).find(j => j.budgetMs === budgetMs);
+    return budgets.flatMap(budgetMs => [
+        { header: `FramesOver_${budgetMs}ms`, value: r => entry(r, budgetMs)?.frames ?? '' },
+        { header: `PctOver_${budgetMs}ms`, value: r => fixed(entry(r, budgetMs)?.ratio * 100) }
+    ]);
+}
+
+// Mean rate of every scenario work unit present in the data
+function throughputColumns(data) {
+    const units = [...new Set(data.flatMap(r => Object.keys(r.throughput || {})))];
+    return units.map(unit => ({ header: `Throughput_${unit}_per_s`, value: r => fixed(r.throughput?.[unit]?.mean) }));
+}
+
+// Throughput columns follow the FPS ones, the other dynamic columns go between
+// the fixed ones and Error
+function toCsv(data) {
+    const fpsEnd = CSV_COLUMNS.findIndex(c => c.header === 'StdFPS') + 1;
+    const columns = [
+        ...CSV_COLUMNS.slice(0, fpsEnd),
+        ...throughputColumns(data),
+        ...CSV_COLUMNS.slice(fpsEnd, -1),
+        ...jankColumns(data),
+        ...phaseColumns(data),
+        CSV_COLUMNS[CSV_COLUMNS.length - 1]
+    ];
+    const lines = [columns.map(c => c.header).join(',')];
+    data.forEach(r => {
+        lines.push(columns.map(c => (r.error && !c.key) ? '' : csvEscape(c.value(r))).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+const num = (value, digits = 4) => (value === null || value === undefined || Number.isNaN(value)) ? '' : Number(value.toPrecision(digits));
+
+// One row per (scenario, count, metric) of comparison.json
+const COMPARISON_COLUMNS = [
+    { header: 'Scenario', value: c => c.scenario },
+    { header: 'Count', value: c => c.count },
+    { header: 'Params', value: c => paramsKey(c.params) },
+    { header: 'Metric', value: c => c.metric },
+    { header: 'WebGL_N', value: c => c.webgl.n },
+    { header: 'WebGL_Mean', value: c => num(c.webgl.mean) },
+    { header: 'WebGL_Std', value: c => num(c.webgl.std) },
+    { header: 'WebGPU_N', value: c => c.webgpu.n },
+    { header: 'WebGPU_Mean', value: c => num(c.webgpu.mean) },
+    { header: 'WebGPU_Std', value: c => num(c.webgpu.std) },
+    { header: 'Ratio_WebGPU_WebGL', value: c => num(c.ratio) },
+    { header: 'Ratio_CI_Low', value: c => num(c.ratioCI[0]) },
+    { header: 'Ratio_CI_High', value: c => num(c.ratioCI[1]) },
+    { header: 'Welch_t', value: c => num(c.welch?.t) },
+    { header: 'Welch_df', value: c => num(c.welch?.df) },
+    { header: 'Welch_p', value: c => num(c.welch?.p, 3) },
+    { header: 'MannWhitney_U', value: c => c.mannWhitney?.u },
+    { header: 'MannWhitney_p', value: c => num(c.mannWhitney?.p, 3) },
+    { header: 'HedgesG', value: c => num(c.effectSize.hedgesG, 3) },
+    { header: 'RankBiserial', value: c => num(c.effectSize.rankBiserial, 3) },
+    { header: 'Significant', value: c => c.significant }
+];
+
+function ensureDir(dir) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function writeResults(resultsDir, finalResults) {
+    ensureDir(resultsDir);
+    fs.writeFileSync(path.join(resultsDir, 'results.json'), JSON.stringify(finalResults, null, 2));
+    fs.writeFileSync(path.join(resultsDir, 'results.csv'), toCsv(finalResults.data));
+}
+
+function writeComparison(resultsDir, metadata, comparison) {
+    ensureDir(resultsDir);
+    fs.writeFileSync(path.join(resultsDir, 'comparison.json'), JSON.stringify({ metadata, ...comparison }, null, 2));
+    const lines = [COMPARISON_COLUMNS.map(c => c.header).join(',')];
+    comparison.comparisons.forEach(row => lines.push(COMPARISON_COLUMNS.map(c => csvEscape(c.value(row))).join(',')));
+    fs.writeFileSync(path.join(resultsDir, 'comparison.csv'), lines.join('\n') + '\n');
+}
+
+module.exports = { CSV_COLUMNS, COMPARISON_COLUMNS, PHASE_ORDER, phaseNames, csvEscape, toCsv, writeResults, writeComparison };
@@ -1,42 +1,210 @@
 const puppeteer = require('puppeteer');
-const fs = require('fs');
 const path = require('path');
 const express = require('express');
+const { USAGE, DEFAULTS, parseCli, parseCompareCli, estimateDuration, formatDuration } = require('./cli');
+const { loadSuite } = require('./suite');
+const { SCENARIO_RANGES, scenarioById, parseParamValue, paramAppliesTo, sharedParams, paramsKey, paramsFileSuffix } = require('./registry');
+const { writeResults, writeComparison } = require('./report');
+const { compareApis, printComparison } = require('./comparison');
+const { toRunRecord, aggregateRuns, fpsCiWidth } = require('./aggregate');
+const { traceFile, startTrace, appendTrace, traceLine, failedTraceLine } = require('./trace');
+const { CHROME_TRACE_DIR, TRACE_CATEGORIES, chromeTraceFile, withChromeTrace } = require('./tracing');
+const { enableHeapMetrics, exposeHeapSampler, heapAfterGc } = require('./memory');
+const { REGRESSION_METRICS, loadResults, compareResults, printRegressionTable, writeJUnit } = require('./regression');
+const { runFailure, describeFailure, failureSummary } = require('./failures');
+const { PARITY_DIR, compareCaptures } = require('./parity');
+
+const RUN_TIMEOUT_MS = 120000;
+
+// Every combination of the parameter value lists, e.g. { a: [1, 2], b: [3] } gives
+// [{ a: 1, b: 3 }, { a: 2, b: 3 }]; [{}] when nothing is swept
+const paramCombinations = lists => Object.entries(lists).reduce(
+    (combos, [name, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))),
+    [{}]
+);
+
+// Expand a suite into a flat list of configurations, honouring CLI filters and overrides
+function buildMatrix(suite, options) {
+    const selectedApis = options.apis || suite.apis;
+    const unknownApis = selectedApis.filter(a => !suite.apis.includes(a));
+    if (unknownApis.length > 0) {
+        throw new Error(`API(s) not in suite "${suite.name}": ${unknownApis.join(', ')}. Expected one of: ${suite.apis.join(', ')}`);
+    }
+
+    const knownScenarios = suite.scenarios.map(s => s.id);
+    const selectedScenarios = options.scenarios || knownScenarios;
+    const unknownScenarios = selectedScenarios.filter(s => !knownScenarios.includes(s));
+    if (unknownScenarios.length > 0) {
+        throw new Error(`Scenario(s) not in suite "${suite.name}": ${unknownScenarios.join(', ')}. Expected one of: ${knownScenarios.join(', ')}`);
+    }
+
+    const cliParams = options.params || {};
+    const undeclared = Object.keys(cliParams).filter(name => !selectedScenarios.some(id => scenarioById(id).params[name]));
+    if (undeclared.length > 0) {
+        throw new Error(`Parameter(s) not taken by any selected scenario: ${undeclared.join(', ')}`);
+    }
+
+    // Adaptive mode comes from the CLI, or from the suite unless --runs asks for a fixed count
+    let adaptive = null;
+    if (options.adaptive || (suite.adaptive && options.runs === null)) {
+        const suiteAdaptive = suite.adaptive || {};
+        adaptive = {
+            targetCi: options.targetCi ?? suiteAdaptive.targetCi ?? DEFAULTS.targetCi,
+            minRuns: options.minRuns ?? suiteAdaptive.minRuns ?? DEFAULTS.minRuns,
+            maxRuns: options.maxRuns ?? suiteAdaptive.maxRuns ?? DEFAULTS.maxRuns
+        };
+        if (adaptive.minRuns > adaptive.maxRuns) {
+            throw new Error(`Adaptive minRuns (${adaptive.minRuns}) exceeds maxRuns (${adaptive.maxRuns})`);
+        }
+    }
+
+    const suiteHarness = suite.harness || {};
+    const seed = options.seed ?? suite.seed ?? DEFAULTS.seed;
+    const isolation = options.isolation ?? suite.isolation ?? DEFAULTS.isolation;
+    const configs = [];
+    for (const api of selectedApis) {
+        for (const entry of suite.scenarios) {
+            if (!selectedScenarios.includes(entry.id)) continue;
+            // Scenarios without an implementation for this API are left out of the matrix
+            if (!scenarioById(entry.id).apis.includes(api)) continue;
+            const harness = entry.harness || {};
+            const range = SCENARIO_RANGES[entry.id];
+            // Swept parameters: the suite's lists, replaced by --param, without the
+            // ones this API's implementation does not take
+            const lists = Object.fromEntries(Object.entries({ ...entry.params, ...cliParams })
+                .filter(([name]) => scenarioById(entry.id).params[name] && paramAppliesTo(entry.id, name, api))
+                .map(([name, values]) => [name, values.map(v => parseParamValue(entry.id, name, v))]));
+            for (const count of options.counts || entry.counts) {
+                if (count < range.min || count > range.max) {
+                    throw new Error(`Count ${count} is outside the supported range ${range.min}-${range.max} for Scenario ${entry.id}`);
+                }
+                for (const params of paramCombinations(lists)) {
+                    configs.push({
+                        api,
+                        scenario: entry.id,
+                        count,
+                        // Parameters besides count; the ones left out keep the registry defaults
+                        params,
+                        // Upper bound on the number of runs in adaptive mode
+                        runs: adaptive ? adaptive.maxRuns : (options.runs ?? entry.runs ?? suite.runs ?? DEFAULTS.runs),
+                        adaptive,
+                        warmup: options.warmup ?? harness.warmup ?? suiteHarness.warmup ?? DEFAULTS.warmup,
+                        duration: options.duration ?? harness.duration ?? suiteHarness.duration ?? DEFAULTS.duration,
+                        framesInFlight: options.framesInFlight ?? harness.framesInFlight ?? suiteHarness.framesInFlight ?? DEFAULTS.framesInFlight,
+                        jankBudgets: options.jankBudgets ?? harness.jankBudgets ?? suiteHarness.jankBudgets ?? DEFAULTS.jankBudgets,
+                        verify: options.verify || (harness.verify ?? suiteHarness.verify ?? false),
+                        clock: options.clock ?? harness.clock ?? suiteHarness.clock ?? DEFAULTS.clock,
+                        seed,
+                        isolation,
+                        memory: options.memory
+                    });
+                }
+            }
+        }
+    }
+    return configs;
+}
+
+const paramsLabel = params => paramsKey(params) ? ` ${paramsKey(params)}` : '';
+
+function printDryRun(suiteInfo, configs, options) {
+    const totalRuns = configs.reduce((n, c) => n + c.runs, 0);
+    console.log(`Suite: ${suiteInfo.suite.name} (${suiteInfo.file}, sha256 ${suiteInfo.hash.slice(0, 12)})`);
+    console.log(`Benchmark matrix (${configs.length} configurations, ${configs.some(c => c.adaptive) ? 'at most ' : ''}${totalRuns} runs):`);
+    const runsLabel = c => c.adaptive ? `runs=${c.adaptive.minRuns}-${c.adaptive.maxRuns} (until CI < ${c.adaptive.targetCi * 100}%)` : `runs=${c.runs}`;
+    configs.forEach(c => console.log(`  ${c.api.padEnd(7)} Scenario ${c.scenario}  count=${String(c.count).padEnd(7)} ${runsLabel(c)} warmup=${c.warmup}ms duration=${c.duration}s clock=${c.clock}${c.verify ? ' verify' : ''}${paramsLabel(c.params)}`));
+    console.log(`\nSeed: ${configs[0]?.seed}`);
+    console.log(`Isolation: ${configs[0]?.isolation}`);
+    console.log(`Output: ${options.out}`);
+    if (options.parity) console.log(`Parity check: WebGL vs WebGPU at frame ${options.parityFrame}, pixel threshold ${options.parityThreshold}, tolerance ${options.parityTolerance * 100}% of pixels (${path.join(options.out, PARITY_DIR)})`);
+    if (options.trace) console.log(`Chrome traces: ${path.join(options.out, CHROME_TRACE_DIR)} (${TRACE_CATEGORIES.join(', ')})`);
+    if (options.memory) console.log('Memory: JS heap after init and after recording, buffer and texture accounting');
+    console.log(`Estimated wall-clock time: ${formatDuration(estimateDuration(configs))}`);
+}
+
+// Scenario parameters as URL query parameters; colors as r,g,b
+const paramsQuery = (params = {}) => Object.entries(params).map(([name, value]) => `&${name}=${Array.isArray(value) ? value.join(',') : value}`).join('');
+
+const benchmarkUrl = (host, { api, scenario, count, params, warmup, duration, framesInFlight, jankBudgets, verify, seed, clock, memory }) =>
+    `${host}/index.html?api=${api}&scenario=${scenario}&count=${count}${paramsQuery(params)}&warmup=${warmup}&duration=${duration}&framesInFlight=${framesInFlight}&jankBudgets=${jankBudgets.join(',')}&seed=${seed}&clock=${clock}${verify ? '&verify=1' : ''}${memory ? '&memory=1' : ''}`;
+
+// Settings of a run as the in-page orchestrator takes them, see scenarios/orchestrator.js
+const pageConfig = ({ api, scenario, count, params, warmup, duration, framesInFlight, jankBudgets, verify, seed, clock, memory }) =>
+    ({ api, scenario, params: { count, ...params }, warmup, duration, framesInFlight, jankBudgets, verify, seed, clock, memory });
+
+// Same-page isolation: runs config in the already loaded sequence page
+// (index.html?sequence=1) and resolves with its results. Failures throw like loadAndWait().
+async function runInPage(page, config, crashed) {
+    const run = page.evaluate((config, timeoutMs) => window.__BENCHMARK_SEQUENCE__([config], { timeoutMs }), pageConfig(config), RUN_TIMEOUT_MS);
+    const [outcome] = await Promise.race([run, crashed]);
+    if (outcome.error) throw outcome.error;
+    return outcome.result;
+}
 
-const PORT = 3000;
-const HOST = `http://localhost:${PORT}`;
-
-// Settings for Academic Runs
-const NUM_RUNS = 10;
-
-// Serve the app for Puppeteer
-const app = express();
-app.use(express.static(path.join(__dirname, '..')));
-const server = app.listen(PORT);
-
-const apis = ['webgl', 'webgpu'];
-const testMatrix = [
-    { scenario: 'A', counts: [1] },
-    { scenario: 'B', counts: [100, 500, 1000, 5000, 10000] },
-    { scenario: 'C', counts: [10000, 50000, 100000, 200000] },
-    { scenario: 'D', counts: [100, 256, 512, 1024] },
-    { scenario: 'E', counts: [500, 2000, 5000, 10000] } // State change stress
-];
-
-// Helper for statistics
-const getMean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
-const getStdDev = (arr, mean) => Math.sqrt(arr.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / arr.length);
-const getP95 = arr => {
-    const sorted = [...arr].sort((a, b) => a - b);
-    return sorted[Math.floor(sorted.length * 0.95)];
-};
-
-async function runBenchmark() {
+// Loads url and resolves with what the page publishes on resultEvent (or already
+// left in window[resultGlobal]). Page failures and timeouts throw their error
+// record; crashed rejects when the renderer dies.
+async function loadAndWait(page, url, crashed, { resultEvent, resultGlobal }) {
+    const load = page.goto(url, { waitUntil: 'load' }).then(() => page.evaluate((timeoutMs, resultEvent, resultGlobal) => {
+        // Errors are resolved as { error } records: Puppeteer cannot rethrow plain objects
+        return new Promise(resolve => {
+            const to = setTimeout(() => resolve({
+                error: {
+                    category: 'timeout',
+                    message: `No result within ${timeoutMs / 1000}s`,
+                    phase: window.__BENCHMARK_HARNESS__?.phase ?? null
+                }
+            }), timeoutMs);
+            const done = outcome => {
+                clearTimeout(to);
+                resolve(outcome);
+            };
+
+            window.addEventListener(resultEvent, e => done({ result: e.detail }));
+            window.addEventListener('benchmark-error', e => done({ error: e.detail }));
+
+            if (window.__BENCHMARK_ERROR__) done({ error: window.__BENCHMARK_ERROR__ });
+            if (window[resultGlobal]) done({ result: window[resultGlobal] });
+        });
+    }, RUN_TIMEOUT_MS, resultEvent, resultGlobal));
+    const outcome = await Promise.race([load, crashed]);
+    if (outcome.error) throw outcome.error;
+    return outcome.result;
+}
+
+// Benchmark tab with its CDP session. onCrash is called when the renderer crashes,
+// onHeapSample (--memory) with each JS heap sample the page asks for.
+async function openPage(browser, onCrash, onHeapSample = null) {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1280, height: 720 });
+
+    page.on('console', msg => {
+        if (msg.type() === 'error') console.error('BROWSER ERROR:', msg.text());
+    });
+    page.on('error', onCrash);
+
+    // JS heap metrics; buffers and textures are counted in the page
+    const cdp = await page.createCDPSession();
+    if (onHeapSample) {
+        await enableHeapMetrics(cdp);
+        await exposeHeapSampler(page, cdp, onHeapSample);
+    }
+    return { page, cdp };
+}
+
+async function runBenchmark(suiteInfo, configs, options) {
     console.log("Starting Academic Benchmark Suite...");
 
+    const HOST = `http://localhost:${options.port}`;
+
+    // Serve the app for Puppeteer
+    const app = express();
+    app.use(express.static(path.join(__dirname, '..')));
+    const server = app.listen(options.port);
+
     const browser = await puppeteer.launch({
         headless: "new",
-        args: [
+        args: suiteInfo.suite.browserFlags || [
             '--enable-unsafe-webgpu',
             '--disable-gpu-vsync',      // Uncapped FPS
             '--disable-frame-rate-limit',
@@ -44,102 +212,219 @@ async function runBenchmark() {
         ]
     });
 
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 720 });
+    // A crashed renderer never settles page.evaluate(), so each page load races against the crash.
+    // The watcher is created before the awaits that precede the race (page load, Chrome trace
+    // start): its rejection is marked handled, the race still receives it.
+    let rejectOnCrash = () => {};
+    const onCrash = err => rejectOnCrash(err);
+    const watchCrash = () => {
+        const crashed = new Promise((resolve, reject) => {
+            rejectOnCrash = err => reject({ category: 'page-crash', message: String(err.message || err) });
+        });
+        crashed.catch(() => {});
+        return crashed;
+    };
+    // --memory: heap samples of the current run by sample point (afterInit, afterRecording)
+    let heapSamples = {};
+    const onHeapSample = options.memory ? (point, sample) => { heapSamples[point] = sample; } : null;
+    let { page, cdp } = await openPage(browser, onCrash, onHeapSample);
+    // Same-page isolation: whether the page holds the sequence page, ready for runs
+    let sequenceLoaded = false;
+    const reopenPage = async () => {
+        await page.close().catch(() => {});
+        ({ page, cdp } = await openPage(browser, onCrash, onHeapSample));
+        sequenceLoaded = false;
+    };
 
     // Attempt extract basic metadata from the browser
     const metadata = {
         userAgent: await browser.userAgent(),
         resolution: "1280x720",
-        date: new Date().toISOString()
+        date: new Date().toISOString(),
+        suite: {
+            name: suiteInfo.suite.name,
+            hash: suiteInfo.hash
+        },
+        // Tracing adds overhead, so traced numbers are not comparable with untraced ones
+        chromeTrace: options.trace ? { categories: TRACE_CATEGORIES } : null,
+        // Memory accounting wraps the page's allocation calls
+        memory: options.memory,
+        // Same-page runs share the JS heap and the GPU process state of earlier runs
+        isolation: configs[0]?.isolation ?? DEFAULTS.isolation,
+        parity: options.parity ? { frame: options.parityFrame, threshold: options.parityThreshold, tolerance: options.parityTolerance } : null
     };
 
-    page.on('console', msg => {
-        if (msg.type() === 'error') console.error('BROWSER ERROR:', msg.text());
-    });
-
     const finalResults = {
         metadata: metadata,
         data: []
     };
 
-    for (const api of apis) {
-        for (const test of testMatrix) {
-            for (const count of test.counts) {
-                console.log(`\n=== Running: ${api.toUpperCase()} | Scenario ${test.scenario} | Count: ${count} ===`);
-
-                const currentTestRuns = [];
-
-                for (let run = 1; run <= NUM_RUNS; run++) {
-                    const url = `${HOST}/index.html?api=${api}&scenario=${test.scenario}&count=${count}`;
-                    await page.goto(url, { waitUntil: 'load' });
-
+    const resultsDir = path.resolve(options.out);
+
+    // Parity check first: configurations whose backends render different images are
+    // not measured. Keyed by scenario, count and the parameters both APIs take, so
+    // a WebGPU-only parameter sweep is checked against one WebGL rendering.
+    const parityKey = ({ scenario, count, params }) => `${scenario}_${count}${paramsFileSuffix(sharedParams(scenario, params))}`;
+    const parity = new Map();
+    if (options.parity) {
+        const parityOptions = { frame: options.parityFrame, threshold: options.parityThreshold, tolerance: options.parityTolerance };
+        for (const config of configs.filter(c => c.api === 'webgl')) {
+            const { scenario, count } = config;
+            const other = configs.find(c => c.api === 'webgpu' && parityKey(c) === parityKey(config));
+            if (!other) continue;
+
+            console.log(`\n=== Parity: Scenario ${scenario} | Count: ${count}${paramsLabel(config.params)} | frame ${options.parityFrame} ===`);
+            let record;
+            try {
+                const captures = {};
+                for (const c of [config, other]) {
+                    // Frame clock: both captures show the scene of the same frame index;
+                    // captures are not measured, so nothing of them is accounted
+                    const url = `${benchmarkUrl(HOST, { ...c, clock: 'frame', memory: false })}&captureFrame=${options.parityFrame}`;
                     try {
-                        const result = await page.evaluate(() => {
-                            return new Promise((resolve, reject) => {
-                                const to = setTimeout(() => reject("Timeout (120s)"), 120000);
-
-                                window.addEventListener('benchmark-complete', (e) => {
-                                    clearTimeout(to);
-                                    resolve(e.detail);
-                                });
-
-                                if (window.__BENCHMARK_ERROR__) {
-                                    clearTimeout(to);
-                                    reject(window.__BENCHMARK_ERROR__);
-                                }
-
-                                if (window.__BENCHMARK_RESULTS__) {
-                                    clearTimeout(to);
-                                    resolve(window.__BENCHMARK_RESULTS__);
-                                }
-                            });
-                        });
-
-                        process.stdout.write(` [Run ${run}/${NUM_RUNS} ✔] `);
-                        currentTestRuns.push({
-                            fps: result.fps,
-                            meanFrameTime: result.meanFrameTime,
-                            stdFrameTime: result.stdFrameTime,
-                            p95FrameTime: result.p95FrameTime,
-                            meanCpuTime: result.meanCpuTime,
-                            meanGpuTime: result.meanGpuTime || 0, // 0 for WebGL
-                            initTime: result.initTime
-                        });
-
-                    } catch (e) {
-                        console.error(`\nFailed Run ${run}: ${e}`);
+                        captures[c.api] = await loadAndWait(page, url, watchCrash(), { resultEvent: 'benchmark-capture', resultGlobal: '__BENCHMARK_CAPTURE__' });
+                    } finally {
+                        rejectOnCrash = () => {};
                     }
-                } // End 10 Runs
+                }
+                record = await compareCaptures(page, resultsDir, config, captures, parityOptions);
+                console.log(record.passed
+                    ? `--> Match: ${(record.differingRatio * 100).toFixed(2)}% of pixels differ`
+                    : `✘ Rendering diverges: ${record.reason}`);
+            } catch (e) {
+                // Not comparable, e.g. one backend failed to start; the runs report why
+                const failure = runFailure(e, config, 0);
+                record = { ...parityOptions, passed: null, reason: `capture failed: ${describeFailure(failure)}` };
+                console.error(`⚠ Parity not checked: ${record.reason}`);
+                if (failure.category === 'page-crash') await reopenPage();
+            }
+            parity.set(parityKey(config), record);
+        }
+    }
 
-                if (currentTestRuns.length > 0) {
-                    // Aggregate the 10 runs
-                    const agg = {
-                        api,
-                        scenario: test.scenario,
-                        count,
-                        runsSuccessful: currentTestRuns.length,
+    for (const config of configs) {
+        const { api, scenario, count, params, runs, adaptive } = config;
+        console.log(`\n=== Running: ${api.toUpperCase()} | Scenario ${scenario} | Count: ${count}${paramsLabel(params)} ===`);
+
+        const configParity = parity.get(parityKey(config)) || null;
+        if (configParity && configParity.passed === false) {
+            console.error(`✘ Skipped: WebGL and WebGPU render differently (${configParity.reason})`);
+            finalResults.data.push({
+                api, scenario, count, params, runsAttempted: 0, failures: [], parity: configParity,
+                error: `Rendering parity failed at frame ${configParity.frame}: ${configParity.reason}`
+            });
+            continue;
+        }
 
-                        meanFps: getMean(currentTestRuns.map(r => r.fps)),
-                        stdFps: getStdDev(currentTestRuns.map(r => r.fps), getMean(currentTestRuns.map(r => r.fps))),
+        const trace = traceFile(resultsDir, config);
+        startTrace(trace);
 
-                        meanFrameTime: getMean(currentTestRuns.map(r => r.meanFrameTime)),
-                        stdFrameTime: getStdDev(currentTestRuns.map(r => r.meanFrameTime), getMean(currentTestRuns.map(r => r.meanFrameTime))),
+        const currentTestRuns = [];
+        const failures = [];
+        let runsAttempted = 0;
 
-                        meanP95FrameTime: getMean(currentTestRuns.map(r => r.p95FrameTime)),
-                        meanCpuTime: getMean(currentTestRuns.map(r => r.meanCpuTime)),
-                        meanGpuTime: getMean(currentTestRuns.map(r => r.meanGpuTime)),
+        for (let run = 1; run <= runs; run++) {
+            runsAttempted = run;
+            const url = benchmarkUrl(HOST, config);
 
-                        meanInitTime: getMean(currentTestRuns.map(r => r.initTime))
-                    };
+            heapSamples = {};
+            const crashed = watchCrash();
+            const measure = async () => {
+                if (config.isolation === 'same-page' && !sequenceLoaded) {
+                    await Promise.race([page.goto(`${HOST}/index.html?sequence=1`, { waitUntil: 'load' }), crashed]);
+                    sequenceLoaded = true;
+                }
+                return config.isolation === 'same-page'
+                    ? await runInPage(page, config, crashed)
+                    : await loadAndWait(page, url, crashed, { resultEvent: 'benchmark-complete', resultGlobal: '__BENCHMARK_RESULTS__' });
+            };
+
+            try {
+                let result;
+                let chromeTrace = null;
+                if (options.trace) {
+                    ({ result, summary: chromeTrace } = await withChromeTrace(page, chromeTraceFile(resultsDir, config, run), measure));
+                } else {
+                    result = await measure();
+                }
+
+                const heap = options.memory ? {
+                    afterInit: heapSamples.afterInit ?? null,
+                    afterRecording: heapSamples.afterRecording ?? null,
+                    afterGc: await heapAfterGc(cdp)
+                } : null;
+
+                process.stdout.write(` [Run ${run}/${runs} ✔] `);
+                appendTrace(trace, traceLine(config, run, result, { chromeTrace, heap }));
+                currentTestRuns.push(toRunRecord(result, run, { chromeTrace, heap }));
+
+            } catch (e) {
+                const failure = runFailure(e, config, run);
+                failures.push(failure);
+                console.error(`\nFailed Run ${run}: ${describeFailure(failure)}`);
+                if (failure.shaderLog) console.error(failure.shaderLog);
+                appendTrace(trace, failedTraceLine(config, run, failure));
+
+                // The crashed tab is unusable; carry on in a fresh one
+                if (failure.category === 'page-crash') await reopenPage();
+                // The sequence page aborts a run that timed out and keeps going; it is only
+                // reloaded when the aborted run could not be torn down, or the page did not answer
+                else if (failure.category === 'runner' || e.pageReusable === false) sequenceLoaded = false;
+            } finally {
+                rejectOnCrash = () => {};
+            }
 
-                    console.log(`\n--> Final Mean FPS: ${agg.meanFps.toFixed(2)} (±${agg.stdFps.toFixed(2)}) | Frame Time: ${agg.meanFrameTime.toFixed(2)}ms (±${agg.stdFrameTime.toFixed(2)})`);
-                    finalResults.data.push(agg);
+            if (adaptive && currentTestRuns.length >= adaptive.minRuns && fpsCiWidth(currentTestRuns) <= adaptive.targetCi) {
+                break;
+            }
+        } // End runs
+
+        const agg = aggregateRuns(config, currentTestRuns, runsAttempted, failures);
+        if (configParity) agg.parity = configParity;
+        if (agg.error) {
+            console.error(`\n✘ ${agg.error}`);
+        } else {
+            if (failures.length > 0) {
+                console.warn(`\n⚠ ${failures.length} of ${runsAttempted} runs failed (${failureSummary(failures)})`);
+            }
+            if (agg.adaptive && !agg.adaptive.converged) {
+                console.warn(`\n⚠ CI width ${(agg.adaptive.achievedCi * 100).toFixed(1)}% still above the ${agg.adaptive.targetCi * 100}% target after ${runsAttempted} runs`);
+            }
+            agg.outliers.forEach(o => console.warn(`\n⚠ Outlier run ${o.run} (${o.metric} = ${o.value.toFixed(2)}): ${o.reason}`));
+            if (agg.workloadMismatch) {
+                console.warn(`\n⚠ Workload mismatch: ${agg.workloadMismatch}`);
+            }
+            const rates = Object.entries(agg.throughput).map(([unit, t]) => `${t.mean.toExponential(3)} ${unit}/s`);
+            if (rates.length > 0) console.log(`\n--> Throughput: ${rates.join(' | ')}`);
+            if (agg.compute?.meanGpuGflops != null) {
+                console.log(`\n--> Compute: ${agg.compute.meanGpuGflops.toFixed(2)} GFLOPS on GPU time (±${agg.compute.stdGpuGflops.toFixed(2)})`);
+            }
+            if (agg.verification) {
+                const v = agg.verification;
+                if (v.passed) {
+                    console.log(`\n--> Verified: ${v.runs} runs match the CPU reference (max relative error ${v.maxRelativeError.toExponential(2)})`);
                 } else {
-                    finalResults.data.push({ api, scenario: test.scenario, count, error: "All runs failed" });
+                    console.warn(`\n⚠ Verification failed in runs ${v.failedRuns.join(', ')}: ${v.mismatches} cells off by more than ${v.tolerance}`);
+                }
+            }
+            if (agg.memory) {
+                const { jsHeap, resources } = agg.memory;
+                const mb = bytes => (bytes / (1024 * 1024)).toFixed(2);
+                const parts = [];
+                if (jsHeap) parts.push(`JS heap ${mb(jsHeap.afterInitUsedBytes)}MB after init, ${mb(jsHeap.afterRecordingUsedBytes)}MB after recording (${mb(jsHeap.afterGcUsedBytes)}MB after GC)`);
+                if (resources) {
+                    parts.push(`${resources.buffers.created.toFixed(0)} buffers (${mb(resources.buffers.peakBytes)}MB peak)`);
+                    parts.push(`${resources.textures.created.toFixed(0)} textures (${mb(resources.textures.peakBytes)}MB peak)`);
                 }
+                console.log(`\n--> Memory: ${parts.join(' | ')}`);
+            }
+            if (agg.chromeTrace) {
+                const t = agg.chromeTrace;
+                console.log(`\n--> Trace: GPU process busy ${t.meanGpuBusyMs.toFixed(1)}ms (${(t.meanGpuBusyRatio * 100).toFixed(1)}%) | ${t.meanCompositorFrames.toFixed(0)} compositor frames | ${t.meanShaderCompiles.toFixed(1)} shader compiles (${t.meanShaderCompileMs.toFixed(1)}ms)`);
             }
+            console.log(`\n--> Final Mean FPS: ${agg.meanFps.toFixed(2)} (±${agg.stdFps.toFixed(2)}) | Frame Time: ${agg.meanFrameTime.toFixed(2)}ms (±${agg.stdFrameTime.toFixed(2)})`);
         }
+        finalResults.data.push(agg);
     }
 
     await browser.close();
@@ -147,27 +432,93 @@ async function runBenchmark() {
 
     console.log("\nSaving Academic Results...");
 
-    const resultsDir = path.join(__dirname, '..', 'results');
-    if (!fs.existsSync(resultsDir)) fs.mkdirSync(resultsDir);
+    writeResults(resultsDir, finalResults);
 
-    // Save JSON
-    fs.writeFileSync(path.join(resultsDir, 'results.json'), JSON.stringify(finalResults, null, 2));
+    const comparison = compareApis(finalResults.data);
+    writeComparison(resultsDir, metadata, comparison);
+    printComparison(comparison);
 
-    // Save CSV
-    let csv = "API,Scenario,Count,MeanFPS,StdFPS,MeanFrameTime_ms,StdFrameTime_ms,P95FrameTime_ms,MeanCpuTime_ms,MeanGpuTime_ms,MeanInitTime_ms,Error\n";
-    finalResults.data.forEach(r => {
-        if (r.error) {
-            csv += `${r.api},${r.scenario},${r.count},,,,,,,,,${r.error}\n`;
-        } else {
-            csv += `${r.api},${r.scenario},${r.count},${r.meanFps.toFixed(2)},${r.stdFps.toFixed(2)},${r.meanFrameTime.toFixed(2)},${r.stdFrameTime.toFixed(2)},${r.meanP95FrameTime.toFixed(2)},${r.meanCpuTime.toFixed(2)},${r.meanGpuTime.toFixed(2)},${r.meanInitTime.toFixed(2)},\n`;
+    console.log(`Done! Results saved to ${resultsDir}`);
+
+    const diverging = [...parity.entries()].filter(([, p]) => p.passed === false);
+    if (diverging.length > 0) {
+        console.error(`Rendering parity failed for ${diverging.map(([key]) => key).join(', ')}, see ${path.join(resultsDir, PARITY_DIR)}`);
+        process.exitCode = 1;
+    }
+}
+
+// `compare` command: baseline vs new results.json, exit code 1 on regressions
+function runCompare(argv) {
+    let options;
+    let report;
+    try {
+        options = parseCompareCli(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return;
         }
-    });
-    fs.writeFileSync(path.join(resultsDir, 'results.csv'), csv);
+        const known = REGRESSION_METRICS.map(m => m.key);
+        const unknown = Object.keys(options.tolerances).filter(m => !known.includes(m));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown metric(s) in --tolerance: ${unknown.join(', ')}. Expected one of: ${known.join(', ')}`);
+        }
+        const baseline = loadResults(path.resolve(options.baseline));
+        const current = loadResults(path.resolve(options.current));
+        report = compareResults(baseline, current, options);
+    } catch (e) {
+        console.error(`Error: ${e.message}\n`);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    console.log(`Baseline: ${options.baseline}\nNew:      ${options.current}\n`);
+    printRegressionTable(report);
 
-    console.log("Done! Results saved to /results/");
+    // Exit code 1 means regressions, so a report that cannot be written exits like bad input
+    const junitFile = path.resolve(options.junit || path.join(path.dirname(options.current), 'regression.xml'));
+    try {
+        writeJUnit(junitFile, report);
+    } catch (e) {
+        console.error(`Error: could not write the JUnit report: ${e.message}`);
+        process.exit(2);
+    }
+    console.log(`JUnit report written to ${junitFile}`);
+
+    if (report.summary.regressions > 0) process.exit(1);
+}
+
+function main() {
+    if (process.argv[2] === 'compare') {
+        runCompare(process.argv.slice(3));
+        return;
+    }
+
+    let options;
+    let suiteInfo;
+    let configs;
+    try {
+        options = parseCli(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        suiteInfo = loadSuite(options.suite);
+        configs = buildMatrix(suiteInfo.suite, options);
+    } catch (e) {
+        console.error(`Error: ${e.message}\n`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (options.dryRun) {
+        printDryRun(suiteInfo, configs, options);
+        return;
+    }
+
+    runBenchmark(suiteInfo, configs, options).catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
 }
 
-runBenchmark().catch(err => {
-    console.error(err);
-    process.exit(1);
-});
+main();
@@ -0,0 +1,230 @@
+// Node-side statistics over samples pooled from several runs. Percentiles,
+// summaries, histograms and jank counts are the page's own (metrics/stats.js), so
+// in-page and offline aggregation cannot disagree. The page's files are ES
+// modules (metrics/package.json), which require() loads since Node 20.19.
+const {
+    PERCENTILES, HISTOGRAM_BUCKET_MS, HISTOGRAM_MAX_MS, DEFAULT_JANK_BUDGETS,
+    percentileKey, percentile, summarize, histogram, countOverBudgets
+} = require('../metrics/stats.js');
+// Seeded PRNG of the scenario data, so bootstrap intervals are reproducible
+const { createRandom } = require('../shared/random.js');
+
+const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+// Histograms share a fixed bucket layout, so pooling is a bucket-wise sum
+function mergeHistograms(histograms) {
+    const valid = histograms.filter(h => h);
+    if (valid.length === 0) return null;
+    const { bucketMs, maxMs } = valid[0];
+    if (valid.some(h => h.bucketMs !== bucketMs || h.maxMs !== maxMs)) {
+        throw new Error('Cannot merge histograms with different bucket layouts');
+    }
+    return {
+        bucketMs,
+        maxMs,
+        counts: valid[0].counts.map((_, i) => valid.reduce((n, h) => n + h.counts[i], 0)),
+        overflow: valid.reduce((n, h) => n + h.overflow, 0)
+    };
+}
+
+// Sample variance (n - 1)
+function variance(arr) {
+    const m = mean(arr);
+    return arr.reduce((acc, v) => acc + (v - m) * (v - m), 0) / (arr.length - 1);
+}
+
+// Percentile bootstrap CI of mean(b) / mean(a), resampling both groups independently
+function bootstrapRatioCI(a, b, { iterations = 10000, confidence = 0.95, seed = 1 } = {}) {
+    const random = createRandom(seed);
+    const resampleMean = arr => {
+        let sum = 0;
+        for (let i = 0; i < arr.length; i++) sum += arr[Math.floor(random() * arr.length)];
+        return sum / arr.length;
+    };
+
+    const ratios = new Float64Array(iterations);
+    for (let i = 0; i < iterations; i++) ratios[i] = resampleMean(b) / resampleMean(a);
+    ratios.sort();
+
+    const alpha = 1 - confidence;
+    return {
+        ratio: mean(b) / mean(a),
+        low: percentile(ratios, 100 * alpha / 2),
+        high: percentile(ratios, 100 * (1 - alpha / 2))
+    };
+}
+
+// --- Distribution functions ---
+
+function logGamma(x) {
+    // Lanczos approximation, g = 7
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let sum = c[0];
+    for (let i = 1; i < 9; i++) sum += c[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the regularized incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(x, a, b) {
+    const EPS = 1e-14;
+    const TINY = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPS) break;
+    }
+    return h;
+}
+
+function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value of Student's t with df degrees of freedom
+const tTwoSided = (t, df) => regularizedBeta(df / (df + t * t), df / 2, 0.5);
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Two-sided critical value of Student's t, found by bisection on tTwoSided
+function tCritical(confidence, df) {
+    const alpha = 1 - confidence;
+    let lo = 0;
+    let hi = 1e3;
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (tTwoSided(mid, df) > alpha) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+// t-based confidence interval of the mean; relativeWidth is the full width over the mean
+function meanCI(samples, confidence = 0.95) {
+    const n = samples.length;
+    const m = mean(samples);
+    if (n < 2) return { mean: m, low: null, high: null, relativeWidth: Infinity };
+    const half = tCritical(confidence, n - 1) * Math.sqrt(variance(samples) / n);
+    return { mean: m, low: m - half, high: m + half, relativeWidth: m !== 0 ? 2 * half / Math.abs(m) : Infinity };
+}
+
+function median(values) {
+    return percentile(Float64Array.from(values).sort(), 50);
+}
+
+// Median absolute deviation
+function mad(values) {
+    const med = median(values);
+    return median(values.map(v => Math.abs(v - med)));
+}
+
+// Indices of values whose modified z-score 0.6745 * |x - median| / MAD exceeds the
+// threshold (Iglewicz & Hoaglin recommend 3.5), with a human readable reason
+function madOutliers(values, threshold = 3.5) {
+    if (values.length < 3) return [];
+    const med = median(values);
+    const dev = mad(values);
+    if (dev === 0) return [];
+    return values.flatMap((v, index) => {
+        const score = 0.6745 * (v - med) / dev;
+        if (Math.abs(score) <= threshold) return [];
+        return [{ index, value: v, score, reason: `modified z-score ${score.toFixed(1)} (median ${med.toPrecision(4)}, MAD ${dev.toPrecision(3)}) exceeds ±${threshold}` }];
+    });
+}
+
+// --- Two-sample tests (a: reference, b: candidate) ---
+
+// Welch's unequal-variance t-test; null when either group has fewer than two samples
+function welchTTest(a, b) {
+    if (a.length < 2 || b.length < 2) return null;
+    const va = variance(a) / a.length;
+    const vb = variance(b) / b.length;
+    const diff = mean(b) - mean(a);
+    const se = Math.sqrt(va + vb);
+    if (se === 0) return { t: diff === 0 ? 0 : Math.sign(diff) * Infinity, df: a.length + b.length - 2, p: diff === 0 ? 1 : 0 };
+
+    const t = diff / se;
+    const df = (va + vb) * (va + vb) / (va * va / (a.length - 1) + vb * vb / (b.length - 1));
+    return { t, df, p: tTwoSided(t, df) };
+}
+
+// Mann-Whitney U with tie correction and the normal approximation (continuity corrected).
+// rankBiserial is in [-1, 1] and positive when b tends to be larger than a.
+function mannWhitneyU(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) return null;
+
+    const all = [...a.map(v => ({ v, g: 0 })), ...b.map(v => ({ v, g: 1 }))].sort((x, y) => x.v - y.v);
+    let rankSumB = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < all.length;) {
+        let j = i;
+        while (j + 1 < all.length && all[j + 1].v === all[i].v) j++;
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) if (all[k].g === 1) rankSumB += rank;
+        const ties = j - i + 1;
+        tieTerm += ties * ties * ties - ties;
+        i = j + 1;
+    }
+
+    const n = n1 + n2;
+    const uB = rankSumB - n2 * (n2 + 1) / 2;
+    const mu = n1 * n2 / 2;
+    const sigma = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+    const z = sigma > 0 ? (uB - mu - Math.sign(uB - mu) * 0.5) / sigma : 0;
+
+    return {
+        u: Math.min(uB, n1 * n2 - uB),
+        z,
+        p: sigma > 0 ? Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) : 1,
+        rankBiserial: 2 * uB / (n1 * n2) - 1
+    };
+}
+
+// Cohen's d with the small-sample correction (Hedges' g), positive when b > a
+function hedgesG(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 < 2 || n2 < 2) return null;
+    const pooled = Math.sqrt(((n1 - 1) * variance(a) + (n2 - 1) * variance(b)) / (n1 + n2 - 2));
+    if (pooled === 0) return null;
+    const correction = 1 - 3 / (4 * (n1 + n2) - 9);
+    return (mean(b) - mean(a)) / pooled * correction;
+}
+
+module.exports = {
+    PERCENTILES, HISTOGRAM_BUCKET_MS, HISTOGRAM_MAX_MS, DEFAULT_JANK_BUDGETS,
+    percentileKey, mean, variance, percentile, summarize, histogram, mergeHistograms, countOverBudgets,
+    bootstrapRatioCI, normalCdf, tCritical, meanCI, median, mad, madOutliers,
+    welchTTest, mannWhitneyU, hedgesG
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SCENARIOS, SCENARIO_RANGES, parseParamValue } = require('./registry');
+
+const SUITES_DIR = path.join(__dirname, '..', 'suites');
+
+const KNOWN_APIS = [...new Set(SCENARIOS.flatMap(s => s.apis))];
+
+const isPositiveInteger = v => Number.isInteger(v) && v > 0;
+const isNonNegativeNumber = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isPositiveNumber = v => isNonNegativeNumber(v) && v > 0;
+const isPositiveNumberList = v => Array.isArray(v) && v.length > 0 && v.every(b => typeof b === 'number' && Number.isFinite(b) && b > 0);
+
+// Harness settings a suite may set, with the check applied to each
+const HARNESS_SETTINGS = {
+    warmup: { check: isNonNegativeNumber, expect: 'a non-negative number (ms)' },
+    duration: { check: isPositiveNumber, expect: 'a positive number (s)' },
+    framesInFlight: { check: isPositiveInteger, expect: 'a positive integer' },
+    jankBudgets: { check: isPositiveNumberList, expect: 'a non-empty array of positive numbers (ms)' },
+    verify: { check: v => typeof v === 'boolean', expect: 'true or false' },
+    clock: { check: v => ['fixed', 'frame'].includes(v), expect: '"fixed" or "frame"' }
+};
+
+// Adaptive repetition settings, see DEFAULTS in cli.js
+const ADAPTIVE_SETTINGS = {
+    targetCi: { check: v => typeof v === 'number' && v > 0, expect: 'a positive number (relative CI width)' },
+    minRuns: { check: v => Number.isInteger(v) && v >= 2, expect: 'an integer >= 2' },
+    maxRuns: { check: v => Number.isInteger(v) && v >= 2, expect: 'an integer >= 2' }
+};
+
+function validateAdaptive(adaptive, errors) {
+    if (adaptive === undefined) return;
+    if (typeof adaptive !== 'object' || adaptive === null || Array.isArray(adaptive)) {
+        errors.push('adaptive: must be an object with optional "targetCi", "minRuns", "maxRuns"');
+        return;
+    }
+    for (const key of Object.keys(adaptive)) {
+        const setting = ADAPTIVE_SETTINGS[key];
+        if (!setting) {
+            errors.push(`adaptive.${key}: unknown adaptive setting (expected one of ${Object.keys(ADAPTIVE_SETTINGS).join(', ')})`);
+        } else if (!setting.check(adaptive[key])) {
+            errors.push(`adaptive.${key}: must be ${setting.expect}, got ${JSON.stringify(adaptive[key])}`);
+        }
+    }
+    if (Number.isInteger(adaptive.minRuns) && Number.isInteger(adaptive.maxRuns) && adaptive.minRuns > adaptive.maxRuns) {
+        errors.push(`adaptive: minRuns (${adaptive.minRuns}) must not exceed maxRuns (${adaptive.maxRuns})`);
+    }
+}
+
+function validateHarness(harness, where, errors) {
+    if (harness === undefined) return;
+    const known = Object.keys(HARNESS_SETTINGS);
+    if (typeof harness !== 'object' || harness === null || Array.isArray(harness)) {
+        errors.push(`${where}: must be an object with optional ${known.map(k => `"${k}"`).join(', ')}`);
+        return;
+    }
+    for (const key of Object.keys(harness)) {
+        const setting = HARNESS_SETTINGS[key];
+        if (!setting) {
+            errors.push(`${where}.${key}: unknown harness setting (expected one of ${known.join(', ')})`);
+        } else if (!setting.check(harness[key])) {
+            errors.push(`${where}.${key}: must be ${setting.expect}, got ${JSON.stringify(harness[key])}`);
+        }
+    }
+}
+
+// Returns a list of human readable problems; an empty list means the suite is valid
+function validateSuite(suite) {
+    const errors = [];
+
+    if (typeof suite !== 'object' || suite === null || Array.isArray(suite)) {
+        return ['suite must be a JSON object'];
+    }
+
+    if (typeof suite.name !== 'string' || suite.name.length === 0) {
+        errors.push('name: must be a non-empty string');
+    }
+
+    if (!Array.isArray(suite.apis) || suite.apis.length === 0) {
+        errors.push('apis: must be a non-empty array');
+    } else {
+        suite.apis.forEach((api, i) => {
+            if (!KNOWN_APIS.includes(api)) {
+                errors.push(`apis[${i}]: unknown API "${api}" (expected one of ${KNOWN_APIS.join(', ')})`);
+            }
+        });
+    }
+
+    if (suite.runs !== undefined && !isPositiveInteger(suite.runs)) {
+        errors.push(`runs: must be a positive integer, got ${JSON.stringify(suite.runs)}`);
+    }
+
+    if (suite.seed !== undefined && !(Number.isInteger(suite.seed) && suite.seed >= 0 && suite.seed <= 0xFFFFFFFF)) {
+        errors.push(`seed: must be an integer between 0 and ${0xFFFFFFFF}, got ${JSON.stringify(suite.seed)}`);
+    }
+
+    if (suite.isolation !== undefined && !['reload', 'same-page'].includes(suite.isolation)) {
+        errors.push(`isolation: must be "reload" or "same-page", got ${JSON.stringify(suite.isolation)}`);
+    }
+
+    validateHarness(suite.harness, 'harness', errors);
+    validateAdaptive(suite.adaptive, errors);
+
+    if (suite.browserFlags !== undefined) {
+        if (!Array.isArray(suite.browserFlags) || suite.browserFlags.some(f => typeof f !== 'string')) {
+            errors.push('browserFlags: must be an array of strings');
+        }
+    }
+
+    if (!Array.isArray(suite.scenarios) || suite.scenarios.length === 0) {
+        errors.push('scenarios: must be a non-empty array');
+        return errors;
+    }
+
+    suite.scenarios.forEach((entry, i) => {
+        const where = `scenarios[${i}]`;
+        if (typeof entry !== 'object' || entry === null) {
+            errors.push(`${where}: must be an object`);
+            return;
+        }
+
+        const range = SCENARIO_RANGES[entry.id];
+        if (!range) {
+            errors.push(`${where}.id: unknown scenario "${entry.id}" (expected one of ${Object.keys(SCENARIO_RANGES).join(', ')})`);
+        }
+
+        if (!Array.isArray(entry.counts) || entry.counts.length === 0) {
+            errors.push(`${where}.counts: must be a non-empty array of integers`);
+        } else {
+            entry.counts.forEach((count, j) => {
+                if (!Number.isInteger(count)) {
+                    errors.push(`${where}.counts[${j}]: must be an integer, got ${JSON.stringify(count)}`);
+                } else if (range && (count < range.min || count > range.max)) {
+                    errors.push(`${where}.counts[${j}]: count ${count} is outside the supported range ${range.min}-${range.max} for Scenario ${entry.id}`);
+                }
+            });
+        }
+
+        if (entry.runs !== undefined && !isPositiveInteger(entry.runs)) {
+            errors.push(`${where}.runs: must be a positive integer, got ${JSON.stringify(entry.runs)}`);
+        }
+
+        // Sweeps over other scenario parameters: { "spacing": [2, 4] }, crossed with counts
+        if (entry.params !== undefined) {
+            if (typeof entry.params !== 'object' || entry.params === null || Array.isArray(entry.params)) {
+                errors.push(`${where}.params: must be an object of value lists`);
+            } else {
+                for (const [name, values] of Object.entries(entry.params)) {
+                    if (name === 'count') {
+                        errors.push(`${where}.params.count: list counts in ${where}.counts`);
+                    } else if (!Array.isArray(values) || values.length === 0) {
+                        errors.push(`${where}.params.${name}: must be a non-empty array`);
+                    } else if (range) {
+                        values.forEach((value, j) => {
+                            try {
+                                parseParamValue(entry.id, name, value);
+                            } catch (e) {
+                                errors.push(`${where}.params.${name}[${j}]: ${e.message}`);
+                            }
+                        });
+                    }
+                }
+            }
+        }
+
+        validateHarness(entry.harness, `${where}.harness`, errors);
+    });
+
+    return errors;
+}
+
+// Accepts either a suite name (resolved in suites/) or a path to a JSON file
+function resolveSuitePath(nameOrPath) {
+    if (nameOrPath.endsWith('.json') || nameOrPath.includes('/') || nameOrPath.includes(path.sep)) {
+        return path.resolve(nameOrPath);
+    }
+    return path.join(SUITES_DIR, `${nameOrPath}.json`);
+}
+
+function listSuites() {
+    if (!fs.existsSync(SUITES_DIR)) return [];
+    return fs.readdirSync(SUITES_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => path.basename(f, '.json'));
+}
+
+function loadSuite(nameOrPath) {
+    const file = resolveSuitePath(nameOrPath);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Suite "${nameOrPath}" not found at ${file}. Available suites: ${listSuites().join(', ') || '(none)'}`);
+    }
+
+    const raw = fs.readFileSync(file);
+    let suite;
+    try {
+        suite = JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+        throw new Error(`Suite ${file} is not valid JSON: ${e.message}`);
+    }
+
+    const errors = validateSuite(suite);
+    if (errors.length > 0) {
+        throw new Error(`Suite ${file} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        suite,
+        file,
+        hash: crypto.createHash('sha256').update(raw).digest('hex')
+    };
+}
+
+module.exports = { validateSuite, loadSuite, listSuites };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { paramsKey, paramsFileSuffix } = require('./registry');
+
+// Raw per-frame traces: <out>/traces/<api>_<scenario>_<count>[_<param>-<value>...].ndjson,
+// one JSON line per run (failed runs included, with their error). Series that only cover some
+// frames (phases, GPU times) are stored as { frameIndex, time } pairs.
+const TRACE_DIR = 'traces';
+
+const traceFile = (resultsDir, { api, scenario, count, params }) => path.join(resultsDir, TRACE_DIR, `${api}_${scenario}_${count}${paramsFileSuffix(params)}.ndjson`);
+
+// Starts an empty trace for a configuration, replacing any earlier one
+function startTrace(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '');
+}
+
+function appendTrace(file, line) {
+    fs.appendFileSync(file, JSON.stringify(line) + '\n');
+}
+
+// Settings a configuration ran with, repeated on every line so each file stands alone
+const traceConfig = ({ warmup, duration, framesInFlight, jankBudgets, adaptive, verify, seed, clock, isolation, memory }) => ({ warmup, duration, framesInFlight, jankBudgets, adaptive, verify, seed, clock, isolation, memory });
+
+function traceLine(config, run, result, { chromeTrace = null, heap = null } = {}) {
+    const { api, scenario, count, params } = config;
+    return {
+        api,
+        scenario,
+        count,
+        params,
+        run,
+        config: traceConfig(config),
+        recordingStart: result.recordingStart,
+        totalTime: result.totalTime,
+        initTime: result.initTime,
+        gpuTiming: result.gpuTiming,
+        gpuFramesSkipped: result.gpuFramesSkipped || 0,
+        gpuTimesDiscarded: result.gpuTimesDiscarded || 0,
+        seed: result.seed,
+        clock: result.clock,
+        // Every scenario parameter the page ran with, defaults included
+        resolvedParams: result.params,
+        context: result.context,
+        workload: result.workload,
+        workUnits: result.workUnits || {},
+        deviceInfo: result.deviceInfo,
+        verification: result.verification || null,
+        frames: {
+            index: result.frames.map((_, i) => i),
+            timestamp: result.timestamps,
+            frameTime: result.frames,
+            cpuTime: result.cpuTimes
+        },
+        phases: Object.fromEntries(Object.entries(result.phaseTimes || {}).map(([name, time]) => [name, {
+            frameIndex: result.phaseFrameIndices[name],
+            time
+        }])),
+        gpu: {
+            frameIndex: result.gpuFrameIndices,
+            time: result.gpuTimes
+        },
+        memory: {
+            // --memory: CDP JS heap samples ({ time (epoch ms), used, total } in bytes)
+            // after init, after recording and after a forced GC
+            heap,
+            resources: result.resources || null
+        },
+        // Summary of the run's Chrome trace (--trace)
+        chromeTrace
+    };
+}
+
+// error is the run's failure record (see failures.js)
+function failedTraceLine(config, run, error) {
+    const { api, scenario, count, params } = config;
+    return { api, scenario, count, params, run, config: traceConfig(config), error };
+}
+
+// Every trace in a results directory as [{ config, lines }], ordered by api, scenario, count and parameters
+function readTraces(resultsDir) {
+    const dir = path.join(resultsDir, TRACE_DIR);
+    if (!fs.existsSync(dir)) {
+        throw new Error(`No traces found in ${dir}`);
+    }
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.ndjson'))
+        .map(f => {
+            const file = path.join(dir, f);
+            const lines = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim().length > 0).map((l, i) => {
+                try {
+                    return JSON.parse(l);
+                } catch (e) {
+                    throw new Error(`${file}:${i + 1}: ${e.message}`);
+                }
+            });
+            if (lines.length === 0) return null;
+            const { api, scenario, count, params, config } = lines[0];
+            return { config: { api, scenario, count, params, ...config }, lines };
+        })
+        .filter(t => t)
+        .sort((a, b) => a.config.api.localeCompare(b.config.api) || a.config.scenario.localeCompare(b.config.scenario) || a.config.count - b.config.count ||
+            paramsKey(a.config.params).localeCompare(paramsKey(b.config.params)));
+}
+
+module.exports = { TRACE_DIR, traceFile, startTrace, appendTrace, traceLine, failedTraceLine, readTraces };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { paramsFileSuffix } = require('./registry');
+
+// Chrome traces recorded with --trace: <out>/chrome-traces/<api>_<scenario>_<count>[_<param>-<value>...]_run<n>.json,
+// loadable in chrome://tracing or Perfetto. Each one covers a whole run, page load
+// and init included, since that is where WebGPU spends most of its extra time.
+const CHROME_TRACE_DIR = 'chrome-traces';
+
+const TRACE_CATEGORIES = [
+    'gpu',
+    'v8',
+    'devtools.timeline',
+    'disabled-by-default-devtools.timeline',
+    'disabled-by-default-devtools.timeline.frame',
+    'gpu.dawn',
+    'disabled-by-default-gpu.dawn',
+    'gpu.angle',
+    'disabled-by-default-gpu.angle'
+];
+
+const GPU_PROCESS = 'GPU Process';
+const GPU_MAIN_THREAD = 'CrGpuMain';
+
+// Shader module creation and compilation in Dawn (Tint, DXC/FXC, Metal) and ANGLE
+const SHADER_COMPILE_EVENT = /compile.*shader|shader.*compile|tint|compileprogram|linkprogram|program.*link|createshadermodule/i;
+
+const chromeTraceFile = (resultsDir, { api, scenario, count, params }, run) => path.join(resultsDir, CHROME_TRACE_DIR, `${api}_${scenario}_${count}${paramsFileSuffix(params)}_run${run}.json`);
+
+// Total length of a set of [start, end] intervals, overlaps counted once
+function unionLength(intervals) {
+    const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let current = null;
+    for (const [start, end] of sorted) {
+        if (!current || start > current[1]) {
+            if (current) total += current[1] - current[0];
+            current = [start, end];
+        } else if (end > current[1]) {
+            current[1] = end;
+        }
+    }
+    if (current) total += current[1] - current[0];
+    return total;
+}
+
+// Events of a Chrome trace file ({ traceEvents: [...] } or a bare array), parsed one
+// at a time. With the GPU categories a trace runs to hundreds of MB, too much to
+// read into one string and JSON.parse() whole.
+async function* readTraceEvents(file) {
+    let head = '';        // Text before the event array, until its start is found
+    let inArray = false;
+    let done = false;     // Past the end of the event array
+    let depth = 0;        // Nesting inside the array, 1 within an event
+    let inString = false;
+    let escaped = false;
+    let current = '';     // Start of an event continued in the next chunk
+
+    // Complete events of a chunk of the array's text
+    const scan = text => {
+        const events = [];
+        let from = depth > 0 ? 0 : -1;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (c === '\\') escaped = true;
+                else if (c === '"') inString = false;
+            } else if (c === '"') {
+                inString = true;
+            } else if (c === '{' || c === '[') {
+                if (depth++ === 0) from = i;
+            } else if (c === '}' || c === ']') {
+                if (depth === 0) {
+                    done = true;
+                    break;
+                }
+                if (--depth === 0) {
+                    events.push(current + text.slice(from, i + 1));
+                    current = '';
+                    from = -1;
+                }
+            }
+        }
+        if (from >= 0) current += text.slice(from);
+        return events;
+    };
+
+    for await (let chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+        if (!inArray) {
+            head += chunk;
+            const key = head.indexOf('"traceEvents"');
+            const start = key >= 0 ? head.indexOf('[', key) : /^\s*\[/.test(head) ? head.indexOf('[') : -1;
+            if (start < 0) continue;
+            inArray = true;
+            chunk = head.slice(start + 1);
+            head = '';
+        }
+        for (const text of scan(chunk)) yield JSON.parse(text);
+        if (done) return;
+    }
+}
+
+// Short summary of a trace: GPU-process busy time, compositor frames and shader
+// compiles. events may be an array or an async iterable (readTraceEvents()); they
+// are gone through once, keeping only the busy intervals of each thread, since the
+// process and thread names may come last.
+async function summarizeChromeTrace(events) {
+    const gpuPids = new Set();
+    const gpuMainThreads = [];  // CrGpuMain thread_name events, of any process so far
+    const busy = new Map();     // "pid:tid" -> [start, end] intervals in µs
+    const open = new Map();     // "pid:tid" -> B events awaiting their E
+    const compiles = [];        // ms
+    let start = Infinity;
+    let end = -Infinity;
+    let compositorFrames = 0;
+    let droppedFrames = 0;
+
+    const span = (e, from, to) => {
+        const thread = `${e.pid}:${e.tid}`;
+        if (!busy.has(thread)) busy.set(thread, []);
+        busy.get(thread).push([from, to]);
+        if (SHADER_COMPILE_EVENT.test(e.name)) compiles.push((to - from) / 1000);
+    };
+
+    for await (const e of events) {
+        if (e.name === 'DrawFrame') compositorFrames++;
+        if (e.name === 'DroppedFrame') droppedFrames++;
+        if (e.ph === 'M') {
+            if (e.name === 'process_name' && e.args?.name === GPU_PROCESS) gpuPids.add(e.pid);
+            if (e.name === 'thread_name' && e.args?.name === GPU_MAIN_THREAD) gpuMainThreads.push(e);
+            continue;
+        }
+        if (typeof e.ts === 'number') {
+            start = Math.min(start, e.ts);
+            end = Math.max(end, e.ts + (e.dur || 0));
+        }
+        if (e.ph === 'X' && typeof e.dur === 'number') {
+            span(e, e.ts, e.ts + e.dur);
+        } else if (e.ph === 'B') {
+            const thread = `${e.pid}:${e.tid}`;
+            if (!open.has(thread)) open.set(thread, []);
+            open.get(thread).push({ pid: e.pid, tid: e.tid, name: e.name, ts: e.ts });
+        } else if (e.ph === 'E') {
+            const begin = open.get(`${e.pid}:${e.tid}`)?.pop();
+            if (begin) span(begin, begin.ts, e.ts);
+        }
+    }
+
+    const duration = start <= end ? end - start : 0;
+    const gpuBusy = unionLength(gpuMainThreads
+        .filter(e => gpuPids.has(e.pid))
+        .flatMap(e => busy.get(`${e.pid}:${e.tid}`) || []));
+
+    return {
+        durationMs: duration / 1000,
+        gpuProcessFound: gpuPids.size > 0,
+        gpuBusyMs: gpuBusy / 1000,
+        gpuBusyRatio: duration > 0 ? gpuBusy / duration : 0,
+        compositorFrames,
+        droppedFrames,
+        shaderCompiles: {
+            count: compiles.length,
+            totalMs: compiles.reduce((a, b) => a + b, 0),
+            maxMs: compiles.reduce((a, b) => Math.max(a, b), 0)
+        }
+    };
+}
+
+// Runs fn while recording a Chrome trace of the page to file and returns its summary
+// along with fn's result. The trace is saved even when fn throws.
+async function withChromeTrace(page, file, fn) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    await page.tracing.start({ path: file, categories: TRACE_CATEGORIES });
+    let result;
+    try {
+        result = await fn();
+    } finally {
+        // Stopping fails on a crashed page; fn's error is the one worth reporting
+        await page.tracing.stop().catch(() => {});
+    }
+    return { result, summary: await summarizeChromeTrace(readTraceEvents(file)) };
+}
+
+module.exports = { CHROME_TRACE_DIR, TRACE_CATEGORIES, chromeTraceFile, summarizeChromeTrace, withChromeTrace };
@@ -1,3 +1,6 @@
+import { summarize, histogram, countOverBudgets, DEFAULT_JANK_BUDGETS } from './stats.js';
+import { BenchmarkError, gpuErrorCategory, toErrorRecord } from './errors.js';
+
 export class BenchmarkHarness {
     constructor() {
         this.resetResults();
@@ -7,11 +10,16 @@ export class BenchmarkHarness {
         this.targetDuration = 3; // 3 seconds of active recording after warmup
         this.durationMode = 'time'; // 'time' or 'frames'
         this.targetFrames = 120;
+        this.jankBudgets = DEFAULT_JANK_BUDGETS; // ms, frames over each budget are counted
+        this.runInfo = { api: null, scenario: null, count: null }; // Copied into error records
+        this.captureFrame = null; // Parity check: frame (from the first one) at which the canvas is captured
+        this.framesRendered = 0;
 
         // State
         this.initialized = false;
         this.isWarmingUp = true;
         this.isComplete = false;
+        this.disposed = false;
 
         this.initStartTime = 0;
         this.startTime = 0;
@@ -22,9 +30,33 @@ export class BenchmarkHarness {
         // For GPU timings WebGPU (optional, device specific)
         this.device = null; // Passed in if WebGPU
         this.gpuSupportTimestamp = false;
-        this.gpuQuerySet = null;
-        this.gpuResolveBuffer = null;
-        this.gpuResultBuffer = null;
+        this.gpuFramesInFlight = 3; // Size of the query/readback ring
+        this.gpuSlots = [];
+        this.gpuNextSlot = 0;
+        this.gpuFrameSlot = null; // Slot used by the frame being encoded
+        this.gpuPendingReadbacks = new Set();
+
+        // For GPU timings WebGL (EXT_disjoint_timer_query_webgl2)
+        this.gl = null; // Passed in if WebGL
+        this.glTimerExt = null;
+        this.glTimerPoolSize = 8; // Max queries in flight; results arrive a few frames late
+        this.glFreeQueries = [];
+        this.glPendingQueries = []; // { query, frameIndex } in submission order, oldest first
+        this.glActiveQuery = null;
+
+        // Buffer/texture accounting, see ResourceTracker.js; only with ?memory=1
+        this.resourceTracker = null;
+        // JS heap sampling by the runner over CDP: async (point) => void; only with ?memory=1
+        this.heapSampler = null;
+
+        // Output check set by scenarios that support it: async () => { passed, ... },
+        // run once after recording so the readback stays out of the timings
+        this.verifier = null;
+
+        // Per-phase CPU timing inside a frame
+        this.currentPhase = null;
+        this.phaseStart = 0;
+        this.framePhases = {}; // name -> ms accumulated during the current frame
 
         // UI
         this.uiFps = document.getElementById('fps-value');
@@ -37,21 +69,51 @@ export class BenchmarkHarness {
     resetResults() {
         this.results = {
             frames: [],
+            timestamps: [], // End of each frame, ms since recordingStart
+            recordingStart: null, // Epoch ms at which recording (after warmup) began
             cpuTimes: [],
-            gpuTimes: [], // WebGPU only
+            phaseTimes: {}, // name -> per-frame ms, only for frames that entered the phase
+            phaseFrameIndices: {}, // name -> index into frames of each phaseTimes entry
+            gpuTimes: [],
+            gpuFrameIndices: [], // Index into frames of each gpuTimes entry; samples arrive late and may skip frames
+            gpuFramesInFlight: 0,
+            gpuFramesSkipped: 0, // Frames left untimed because every readback slot was busy
+            gpuTimesDiscarded: 0, // WebGL only: samples dropped after GPU_DISJOINT_EXT
+            gpuTiming: { supported: false, source: null, reason: 'GPU timing not initialized' },
             totalTime: 0,
             fps: 0,
             initTime: 0,
+            workload: null, // Reported by the scenario, see Scenario.getWorkload()
+            params: null, // Scenario parameters after defaults, see scenarios/registry.json
+            seed: null, // Seed of the scenario's initial data, see shared/random.js
+            clock: null, // { mode, timestep } of the scenario's simulation clock
+            context: null, // Canvas context options in effect, see scenarios/context.js
+            workUnits: {}, // unit -> amount per frame, see Scenario.getWorkUnits()
+            throughput: {}, // unit -> amount per second over the mean frame time
+            deviceInfo: null, // WebGPU only: granted features and limits
+            resources: null, // Buffers and textures created/destroyed with their bytes, see ResourceTracker.summary()
+            verification: null, // Result of the scenario's output check, see shared/matmul.js
 
             // Statistics derived later
             meanFrameTime: 0,
             stdFrameTime: 0,
             p95FrameTime: 0,
+            frameTime: null, // { n, mean, std, min, max, p50, p90, p95, p99, p999 }
+            histogram: null, // Fixed frame-time buckets, see metrics/stats.js
+            jank: [], // [{ budgetMs, frames, ratio }]
             meanCpuTime: 0,
-            meanGpuTime: 0
+            meanGpuTime: null, // Stays null when GPU timing is unavailable
+            phases: {} // name -> same summary as frameTime
         };
     }
 
+    // Stage of the run, recorded with errors
+    get phase() {
+        if (!this.initialized) return 'init';
+        if (this.isWarmingUp) return 'warmup';
+        return this.isComplete ? 'finalize' : 'recording';
+    }
+
     // --- Timers ---
     startInitTimer() {
         this.initStartTime = performance.now();
@@ -67,59 +129,249 @@ export class BenchmarkHarness {
         console.log(`Initialization complete in ${this.results.initTime.toFixed(2)}ms`);
     }
 
+    setWorkload(workload) {
+        this.results.workload = workload;
+    }
+
+    setParams(params) {
+        this.results.params = params;
+    }
+
+    setSeed(seed) {
+        this.results.seed = seed;
+    }
+
+    setClock(clock) {
+        this.results.clock = clock;
+    }
+
+    setContext(context) {
+        this.results.context = context;
+    }
+
+    setWorkUnits(units) {
+        this.results.workUnits = units;
+    }
+
+    setDeviceInfo(info) {
+        this.results.deviceInfo = info;
+    }
+
+    // --- Failure detection ---
+    // Device loss and errors raised outside an error scope fail the run
+    watchWebGPUDevice(device) {
+        device.lost.then(info => {
+            // Destroying our own device is not a failure
+            if (info.reason !== 'destroyed') {
+                this.reportError(new BenchmarkError('device-lost', `Device lost (${info.reason || 'unknown'}): ${info.message}`));
+            }
+        });
+        device.addEventListener('uncapturederror', e => {
+            this.reportError(new BenchmarkError(gpuErrorCategory(e.error), e.error.message));
+        });
+    }
+
+    watchWebGLContext(canvas) {
+        canvas.addEventListener('webglcontextlost', () => {
+            this.reportError(new BenchmarkError('context-lost', 'WebGL context lost'));
+        });
+    }
+
     // --- WebGPU Timestamps Setup ---
+    // Timestamps go into a ring of query sets and readback buffers, so frame N is
+    // mapped while the following frames are already in flight and the CPU never
+    // waits on the GPU.
     async initWebGPUTimestamps(device) {
         this.device = device;
+        this.results.gpuFramesInFlight = this.gpuFramesInFlight;
         if (this.device.features.has('timestamp-query')) {
             this.gpuSupportTimestamp = true;
-            this.gpuQuerySet = this.device.createQuerySet({
-                type: 'timestamp',
-                count: 2, // 0: start, 1: end
-            });
-            this.gpuResolveBuffer = this.device.createBuffer({
-                size: 2 * 8, // 2 timestamps, 8 bytes (uint64) each
-                usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
-            });
-            this.gpuResultBuffer = this.device.createBuffer({
-                size: 2 * 8,
-                usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
-            });
+            this.results.gpuTiming = { supported: true, source: 'timestamp-query', reason: null };
+            this.gpuSlots = [];
+            for (let i = 0; i < this.gpuFramesInFlight; i++) {
+                this.gpuSlots.push({
+                    frameIndex: -1,
+                    querySet: this.device.createQuerySet({
+                        type: 'timestamp',
+                        count: 2, // 0: start, 1: end
+                    }),
+                    resolveBuffer: this.device.createBuffer({
+                        size: 2 * 8, // 2 timestamps, 8 bytes (uint64) each
+                        usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+                    }),
+                    resultBuffer: this.device.createBuffer({
+                        size: 2 * 8,
+                        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+                    }),
+                    busy: false // true from resolve until the readback is unmapped
+                });
+            }
         } else {
             console.warn("timestamp-query feature is not supported on this device/browser.");
             this.gpuSupportTimestamp = false;
+            this.results.gpuTiming = { supported: false, source: 'timestamp-query', reason: 'timestamp-query feature not granted by the device' };
+        }
+    }
+
+    acquireGPUSlot() {
+        const n = this.gpuSlots.length;
+        for (let i = 0; i < n; i++) {
+            const index = (this.gpuNextSlot + i) % n;
+            if (!this.gpuSlots[index].busy) {
+                this.gpuNextSlot = (index + 1) % n;
+                return this.gpuSlots[index];
+            }
         }
+        return null;
     }
 
-    beginGPUTimestamp(commandEncoder) {
-        if (!this.gpuSupportTimestamp || this.isWarmingUp || this.isComplete) return;
-        commandEncoder.writeTimestamp(this.gpuQuerySet, 0);
+    // Pass-level timestamp writes for a pass descriptor. The first pass of a frame
+    // writes the start timestamp and the last pass the end one, so multi-pass
+    // frames pass { last: false } / { first: false } respectively.
+    gpuTimestampWrites({ first = true, last = true } = {}) {
+        if (!this.gpuSupportTimestamp || this.isWarmingUp || this.isComplete) return undefined;
+
+        if (first) {
+            this.gpuFrameSlot = this.acquireGPUSlot();
+            // Every slot is still waiting on an older frame: leave this one untimed
+            if (!this.gpuFrameSlot) this.results.gpuFramesSkipped++;
+            else this.gpuFrameSlot.frameIndex = this.activeFrameCount;
+        }
+        if (!this.gpuFrameSlot) return undefined;
+
+        const writes = { querySet: this.gpuFrameSlot.querySet };
+        if (first) writes.beginningOfPassWriteIndex = 0;
+        if (last) writes.endOfPassWriteIndex = 1;
+        return writes;
     }
 
     endGPUTimestamp(commandEncoder) {
-        if (!this.gpuSupportTimestamp || this.isWarmingUp || this.isComplete) return;
-        commandEncoder.writeTimestamp(this.gpuQuerySet, 1);
-        commandEncoder.resolveQuerySet(this.gpuQuerySet, 0, 2, this.gpuResolveBuffer, 0);
-        commandEncoder.copyBufferToBuffer(this.gpuResolveBuffer, 0, this.gpuResultBuffer, 0, 16);
+        const slot = this.gpuFrameSlot;
+        if (!slot) return;
+        commandEncoder.resolveQuerySet(slot.querySet, 0, 2, slot.resolveBuffer, 0);
+        commandEncoder.copyBufferToBuffer(slot.resolveBuffer, 0, slot.resultBuffer, 0, 16);
+        slot.busy = true;
     }
 
-    async resolveGPUTimestamp() {
-        if (!this.gpuSupportTimestamp || this.isWarmingUp || this.isComplete) return -1;
+    // Call after queue.submit(). Starts mapping this frame's timestamps without
+    // waiting on it; the duration is recorded once the GPU has caught up.
+    collectGPUTimestamp() {
+        const slot = this.gpuFrameSlot;
+        this.gpuFrameSlot = null;
+        if (!slot || !slot.busy) return;
+
+        const readback = slot.resultBuffer.mapAsync(GPUMapMode.READ)
+            .then(() => {
+                const timestamps = new BigInt64Array(slot.resultBuffer.getMappedRange());
+                // Convert nanoseconds to milliseconds
+                const durationMs = Number(timestamps[1] - timestamps[0]) / 1e6;
+                slot.resultBuffer.unmap();
+                if (durationMs >= 0) {
+                    this.results.gpuTimes.push(durationMs);
+                    this.results.gpuFrameIndices.push(slot.frameIndex);
+                }
+            })
+            .catch(e => console.warn("GPU timestamp readback failed:", e))
+            .finally(() => {
+                slot.busy = false;
+                this.gpuPendingReadbacks.delete(readback);
+            });
+        this.gpuPendingReadbacks.add(readback);
+    }
 
-        await this.gpuResultBuffer.mapAsync(GPUMapMode.READ);
-        const arrayBuffer = this.gpuResultBuffer.getMappedRange();
-        const timestamps = new BigInt64Array(arrayBuffer);
+    // --- WebGL Timer Queries Setup ---
+    // TIME_ELAPSED queries are taken from a small pool and polled at the start of
+    // later frames, so reading a result never blocks on the GPU.
+    initWebGLTimerQueries(gl) {
+        this.gl = gl;
+        this.glTimerExt = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        if (this.glTimerExt) {
+            this.results.gpuTiming = { supported: true, source: 'EXT_disjoint_timer_query_webgl2', reason: null };
+        } else {
+            console.warn("EXT_disjoint_timer_query_webgl2 is not supported on this device/browser.");
+            this.results.gpuTiming = { supported: false, source: 'EXT_disjoint_timer_query_webgl2', reason: 'EXT_disjoint_timer_query_webgl2 extension not available' };
+        }
+    }
 
-        const start = Number(timestamps[0]);
-        const end = Number(timestamps[1]);
+    beginGLTimer() {
+        if (!this.glTimerExt || this.isWarmingUp || this.isComplete) return;
 
-        this.gpuResultBuffer.unmap();
+        this.pollGLTimers();
+        if (this.glPendingQueries.length >= this.glTimerPoolSize) {
+            // Every pooled query is still waiting on the GPU: leave this frame untimed
+            this.results.gpuFramesSkipped++;
+            return;
+        }
 
-        // Convert nanoseconds to milliseconds
-        const durationMs = (end - start) / 1e6;
-        if (durationMs >= 0) {
-            this.results.gpuTimes.push(durationMs);
+        const gl = this.gl;
+        this.glActiveQuery = this.glFreeQueries.pop() || gl.createQuery();
+        gl.beginQuery(this.glTimerExt.TIME_ELAPSED_EXT, this.glActiveQuery);
+    }
+
+    endGLTimer() {
+        if (!this.glActiveQuery) return;
+        this.gl.endQuery(this.glTimerExt.TIME_ELAPSED_EXT);
+        this.glPendingQueries.push({ query: this.glActiveQuery, frameIndex: this.activeFrameCount });
+        this.glActiveQuery = null;
+    }
+
+    pollGLTimers() {
+        const gl = this.gl;
+        const ext = this.glTimerExt;
+
+        // A disjoint event (e.g. GPU frequency change or context switch) makes every
+        // query in flight unreliable, so they are all discarded.
+        if (gl.getParameter(ext.GPU_DISJOINT_EXT)) {
+            this.results.gpuTimesDiscarded += this.glPendingQueries.length;
+            this.glPendingQueries.forEach(p => gl.deleteQuery(p.query));
+            this.glPendingQueries = [];
+            return;
+        }
+
+        // Queries complete in order, so stop at the first one that is not ready
+        while (this.glPendingQueries.length > 0) {
+            const { query, frameIndex } = this.glPendingQueries[0];
+            if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+
+            this.glPendingQueries.shift();
+            const elapsedNs = gl.getQueryParameter(query, gl.QUERY_RESULT);
+            this.results.gpuTimes.push(elapsedNs / 1e6);
+            this.results.gpuFrameIndices.push(frameIndex);
+            this.glFreeQueries.push(query);
+        }
+    }
+
+    // Waits (one animation frame at a time) for the last queries to resolve
+    async drainGLTimers(timeoutMs = 500) {
+        if (!this.glTimerExt) return;
+        const deadline = performance.now() + timeoutMs;
+        while (this.glPendingQueries.length > 0 && performance.now() < deadline) {
+            await new Promise(resolve => requestAnimationFrame(resolve));
+            this.pollGLTimers();
         }
-        return durationMs;
+    }
+
+    // --- Per Phase API ---
+    // Splits the CPU side of a frame into named stages (update, upload, encode,
+    // submit). Starting a phase ends the previous one, and re-entering a phase in
+    // the same frame adds to its time.
+    beginPhase(name) {
+        if (this.isWarmingUp || this.isComplete) return;
+        const now = performance.now();
+        if (this.currentPhase) this.accumulatePhase(now);
+        this.currentPhase = name;
+        this.phaseStart = now;
+    }
+
+    endPhase() {
+        if (!this.currentPhase) return;
+        this.accumulatePhase(performance.now());
+        this.currentPhase = null;
+    }
+
+    accumulatePhase(now) {
+        const name = this.currentPhase;
+        this.framePhases[name] = (this.framePhases[name] || 0) + (now - this.phaseStart);
     }
 
     // --- Per Frame API ---
@@ -133,6 +385,8 @@ export class BenchmarkHarness {
                 this.isWarmingUp = false;
                 this.startTime = now;
                 this.lastFrameTime = now;
+                this.results.recordingStart = performance.timeOrigin + now;
+                if (this.resourceTracker) this.resourceTracker.markRecordingStart();
                 this.uiStatus.textContent = "Recording";
                 this.uiStatus.style.color = "#69db7c";
                 this.activeFrameCount = 0;
@@ -169,8 +423,20 @@ export class BenchmarkHarness {
         const duration = now - this.lastFrameTime;
 
         this.results.frames.push(duration);
+        this.results.timestamps.push(now - this.startTime);
         this.results.cpuTimes.push(cpuTime);
 
+        this.endPhase();
+        for (const [name, ms] of Object.entries(this.framePhases)) {
+            if (!this.results.phaseTimes[name]) {
+                this.results.phaseTimes[name] = [];
+                this.results.phaseFrameIndices[name] = [];
+            }
+            this.results.phaseTimes[name].push(ms);
+            this.results.phaseFrameIndices[name].push(this.activeFrameCount);
+        }
+        this.framePhases = {};
+
         this.lastFrameTime = now;
         this.activeFrameCount++;
 
@@ -204,29 +470,48 @@ export class BenchmarkHarness {
 
         if (complete) {
             this.isComplete = true;
-            this.finalizeResults(now);
+            this.finalizeResults(now).catch(e => this.reportError(e));
         }
     }
 
+    // Snapshots the canvas once captureFrame frames have been rendered. Has to run
+    // in the same task as the draw: once the frame is presented, the drawing buffer
+    // (WebGL) or current texture (WebGPU) is gone.
+    captureAfterFrame(canvas) {
+        if (this.captureFrame === null) return false;
+        this.framesRendered++;
+        if (this.framesRendered < this.captureFrame) return false;
+
+        const capture = {
+            frame: this.framesRendered,
+            width: canvas.width,
+            height: canvas.height,
+            image: canvas.toDataURL('image/png')
+        };
+        this.isComplete = true;
+        this.uiStatus.textContent = `Captured frame ${capture.frame}`;
+        window.__BENCHMARK_CAPTURE__ = capture;
+        window.dispatchEvent(new CustomEvent('benchmark-capture', { detail: capture }));
+        return true;
+    }
+
     calculateStatistics() {
         const sum = arr => arr.reduce((a, b) => a + b, 0);
         const mean = arr => sum(arr) / arr.length;
 
-        const variance = (arr, m) => arr.reduce((acc, val) => acc + Math.pow(val - m, 2), 0) / arr.length;
-        const stdDev = arr => Math.sqrt(variance(arr, mean(arr)));
-
-        const p95 = arr => {
-            const sorted = [...arr].sort((a, b) => a - b);
-            const idx = Math.floor(sorted.length * 0.95);
-            return sorted[idx];
-        };
-
         if (this.results.frames.length > 0) {
-            this.results.meanFrameTime = mean(this.results.frames);
-            this.results.stdFrameTime = stdDev(this.results.frames);
-            this.results.p95FrameTime = p95(this.results.frames);
-            this.results.fps = 1000 / this.results.meanFrameTime;
+            const frameTime = summarize(this.results.frames);
+            this.results.frameTime = frameTime;
+            this.results.meanFrameTime = frameTime.mean;
+            this.results.stdFrameTime = frameTime.std;
+            this.results.p95FrameTime = frameTime.p95;
+            this.results.fps = 1000 / frameTime.mean;
+            for (const [unit, perFrame] of Object.entries(this.results.workUnits)) {
+                this.results.throughput[unit] = perFrame * this.results.fps;
+            }
         }
+        this.results.histogram = histogram(this.results.frames);
+        this.results.jank = countOverBudgets(this.results.frames, this.jankBudgets);
 
         if (this.results.cpuTimes.length > 0) {
             this.results.meanCpuTime = mean(this.results.cpuTimes);
@@ -235,11 +520,29 @@ export class BenchmarkHarness {
         if (this.results.gpuTimes.length > 0) {
             this.results.meanGpuTime = mean(this.results.gpuTimes);
         }
+
+        for (const [name, times] of Object.entries(this.results.phaseTimes)) {
+            this.results.phases[name] = summarize(times);
+        }
+
+        if (this.resourceTracker) {
+            this.results.resources = this.resourceTracker.summary();
+        }
     }
 
-    finalizeResults(now) {
+    async finalizeResults(now) {
         this.results.totalTime = now - this.startTime;
+        // Heap as the recording left it, before the readbacks and the verifier allocate
+        await this.sampleHeap('afterRecording');
+
+        // GPU timings of the last few frames may still be in flight
+        await Promise.all(this.gpuPendingReadbacks);
+        await this.drainGLTimers();
         this.calculateStatistics();
+        // After the statistics, so the readback resources are not in the accounting
+        if (this.verifier) this.results.verification = await this.verifier();
+        // Aborted while the last readbacks were pending (scenarios/orchestrator.js)
+        if (this.disposed) return;
 
         this.uiStatus.textContent = "Complete";
         this.uiStatus.style.color = "#4db8ff";
@@ -249,10 +552,41 @@ export class BenchmarkHarness {
         window.dispatchEvent(new CustomEvent('benchmark-complete', { detail: this.results }));
     }
 
-    reportError(message) {
-        console.error("Benchmark Error:", message);
+    // Asks the runner for a JS heap sample, see automation/memory.js
+    async sampleHeap(point) {
+        if (this.heapSampler && !this.disposed) await this.heapSampler(point);
+    }
+
+    // Frees the timing queries and readback buffers once the run is over, see Scenario.dispose()
+    dispose() {
+        this.disposed = true;
+        for (const slot of this.gpuSlots) {
+            slot.querySet.destroy();
+            slot.resolveBuffer.destroy();
+            slot.resultBuffer.destroy();
+        }
+        this.gpuSlots = [];
+        if (this.gl) {
+            [...this.glFreeQueries, ...this.glPendingQueries.map(p => p.query)].forEach(q => this.gl.deleteQuery(q));
+            if (this.glActiveQuery) this.gl.deleteQuery(this.glActiveQuery);
+            this.glFreeQueries = [];
+            this.glPendingQueries = [];
+            this.glActiveQuery = null;
+        }
+        if (this.resourceTracker) this.resourceTracker.detach();
+    }
+
+    // Accepts an Error (BenchmarkError for a typed failure) or a message. Only the
+    // first failure is kept: later ones, like a device loss after a validation
+    // error, are usually its consequences.
+    reportError(error) {
+        // Disposing loses the context or device on purpose
+        if (this.disposed || window.__BENCHMARK_ERROR__) return;
+        const record = toErrorRecord(error, { ...this.runInfo, phase: this.phase });
+        console.error("Benchmark Error:", record);
         document.getElementById('error-overlay').style.display = 'flex';
-        document.getElementById('error-overlay').textContent = message;
-        window.__BENCHMARK_ERROR__ = message;
+        document.getElementById('error-overlay').textContent = `${record.category}: ${record.message}`;
+        window.__BENCHMARK_ERROR__ = record;
+        window.dispatchEvent(new CustomEvent('benchmark-error', { detail: record }));
     }
 }
@@ -0,0 +1,296 @@
+// Counts the buffers and textures a scenario creates and destroys, with their
+// byte sizes, by wrapping the allocation entry points of WebGPU and WebGL 2. Only
+// installed with ?memory=1 (the runner's --memory), and only calls that create,
+// delete or size storage are wrapped, never the per-frame binds and updates.
+// Sizes are what the API was asked for (no driver padding or swap chains), and
+// resources the harness allocates for GPU timing are included.
+
+const WEBGPU_FORMAT_BYTES = {
+    'depth16unorm': 2,
+    'depth24plus': 4,
+    'depth24plus-stencil8': 4,
+    'depth32float': 4,
+    'depth32float-stencil8': 8,
+    'stencil8': 1,
+    'rgb10a2unorm': 4,
+    'rgb10a2uint': 4,
+    'rg11b10ufloat': 4,
+    'rgb9e5ufloat': 4
+};
+
+// rgba8unorm -> 4, rg32float -> 8, bgra8unorm-srgb -> 4; unknown formats count as 4
+function webgpuTexelBytes(format) {
+    if (WEBGPU_FORMAT_BYTES[format]) return WEBGPU_FORMAT_BYTES[format];
+    const match = /^(r|rg|rgba|bgra)(8|16|32)/.exec(format);
+    return match ? match[1].replace('bgra', 'rgba').length * Number(match[2]) / 8 : 4;
+}
+
+function webgpuTextureBytes(desc) {
+    const size = Array.isArray(desc.size) ? desc.size : [desc.size.width, desc.size.height, desc.size.depthOrArrayLayers];
+    const [width, height = 1, depth = 1] = size;
+    const is3d = desc.dimension === '3d';
+    let texels = 0;
+    for (let level = 0; level < (desc.mipLevelCount || 1); level++) {
+        texels += Math.max(1, width >> level) * Math.max(1, height >> level) * (is3d ? Math.max(1, depth >> level) : depth);
+    }
+    return texels * webgpuTexelBytes(desc.format) * (desc.sampleCount || 1);
+}
+
+const GL_FORMAT_CHANNELS = {
+    RED: 1, RED_INTEGER: 1, ALPHA: 1, LUMINANCE: 1, DEPTH_COMPONENT: 1, DEPTH_STENCIL: 1,
+    RG: 2, RG_INTEGER: 2, LUMINANCE_ALPHA: 2,
+    RGB: 3, RGB_INTEGER: 3,
+    RGBA: 4, RGBA_INTEGER: 4
+};
+const GL_TYPE_BYTES = { UNSIGNED_BYTE: 1, BYTE: 1, UNSIGNED_SHORT: 2, SHORT: 2, HALF_FLOAT: 2, UNSIGNED_INT: 4, INT: 4, FLOAT: 4 };
+// Packed types hold a whole texel
+const GL_PACKED_TYPE_BYTES = {
+    UNSIGNED_SHORT_5_6_5: 2, UNSIGNED_SHORT_4_4_4_4: 2, UNSIGNED_SHORT_5_5_5_1: 2,
+    UNSIGNED_INT_24_8: 4, UNSIGNED_INT_2_10_10_10_REV: 4, UNSIGNED_INT_10F_11F_11F_REV: 4, UNSIGNED_INT_5_9_9_9_REV: 4,
+    FLOAT_32_UNSIGNED_INT_24_8_REV: 8
+};
+const GL_INTERNAL_FORMAT_BYTES = {
+    R8: 1, R16F: 2, R32F: 4, R8UI: 1, R16UI: 2, R32UI: 4, R32I: 4,
+    RG8: 2, RG16F: 4, RG32F: 8,
+    RGB8: 3, SRGB8: 3, RGB16F: 6, RGB32F: 12,
+    RGBA8: 4, SRGB8_ALPHA8: 4, RGB10_A2: 4, RGBA16F: 8, RGBA32F: 16, RGBA8UI: 4, RGBA32UI: 16,
+    DEPTH_COMPONENT16: 2, DEPTH_COMPONENT24: 4, DEPTH_COMPONENT32F: 4, DEPTH24_STENCIL8: 4, DEPTH32F_STENCIL8: 8
+};
+
+// Binding query of each buffer target, so bufferData can look up the buffer it sizes
+const GL_BUFFER_BINDINGS = {
+    ARRAY_BUFFER: 'ARRAY_BUFFER_BINDING',
+    ELEMENT_ARRAY_BUFFER: 'ELEMENT_ARRAY_BUFFER_BINDING',
+    UNIFORM_BUFFER: 'UNIFORM_BUFFER_BINDING',
+    COPY_READ_BUFFER: 'COPY_READ_BUFFER_BINDING',
+    COPY_WRITE_BUFFER: 'COPY_WRITE_BUFFER_BINDING',
+    PIXEL_PACK_BUFFER: 'PIXEL_PACK_BUFFER_BINDING',
+    PIXEL_UNPACK_BUFFER: 'PIXEL_UNPACK_BUFFER_BINDING',
+    TRANSFORM_FEEDBACK_BUFFER: 'TRANSFORM_FEEDBACK_BUFFER_BINDING'
+};
+
+// Name -> value tables turned into value -> bytes lookups for a context
+const byEnum = (gl, table) => new Map(Object.entries(table).filter(([name]) => gl[name] !== undefined).map(([name, bytes]) => [gl[name], bytes]));
+
+function newCounter() {
+    return {
+        created: 0,
+        destroyed: 0,
+        live: 0,
+        peakLive: 0,
+        bytesAllocated: 0, // Every allocation, including re-specified storage
+        liveBytes: 0,
+        peakBytes: 0
+    };
+}
+
+// The prototypes are wrapped once per page and per API. The wrappers report to the
+// tracker of the current run, so runs sharing a page (scenarios/orchestrator.js)
+// only count what they allocate themselves.
+const wrappedApis = new Set();
+let activeTracker = null;
+const current = {
+    created: (...args) => activeTracker?.created(...args),
+    resized: (...args) => activeTracker?.resized(...args),
+    destroyed: (...args) => activeTracker?.destroyed(...args)
+};
+
+export class ResourceTracker {
+    constructor() {
+        this.api = null;
+        this.counters = { buffers: newCounter(), textures: newCounter() };
+        this.sizes = new WeakMap(); // resource -> bytes currently allocated
+        this.recordingStart = null; // Copy of the counters when recording began
+    }
+
+    // --- Bookkeeping ---
+    created(kind, resource, bytes = 0) {
+        const c = this.counters[kind];
+        c.created++;
+        c.live++;
+        c.peakLive = Math.max(c.peakLive, c.live);
+        this.sizes.set(resource, 0);
+        this.resized(kind, resource, bytes);
+    }
+
+    // Storage of a live resource (re)specified, e.g. bufferData on a bound buffer.
+    // allocated is the part that was newly specified when only one mip level changed.
+    resized(kind, resource, bytes, allocated = bytes) {
+        if (!this.sizes.has(resource)) return;
+        const c = this.counters[kind];
+        c.bytesAllocated += allocated;
+        c.liveBytes += bytes - this.sizes.get(resource);
+        c.peakBytes = Math.max(c.peakBytes, c.liveBytes);
+        this.sizes.set(resource, bytes);
+    }
+
+    destroyed(kind, resource) {
+        if (!this.sizes.has(resource)) return;
+        const c = this.counters[kind];
+        c.destroyed++;
+        c.live--;
+        c.liveBytes -= this.sizes.get(resource);
+        this.sizes.delete(resource);
+    }
+
+    // --- Instrumentation ---
+    install(api) {
+        this.api = api;
+        activeTracker = this;
+        if (wrappedApis.has(api)) return;
+        wrappedApis.add(api);
+        if (api === 'webgpu') this.installWebGPU();
+        else if (api === 'webgl') this.installWebGL();
+    }
+
+    // Stops counting once the run is over, see BenchmarkHarness.dispose()
+    detach() {
+        if (activeTracker === this) activeTracker = null;
+    }
+
+    installWebGPU() {
+        if (typeof GPUDevice === 'undefined') return;
+        const tracker = current;
+
+        const createBuffer = GPUDevice.prototype.createBuffer;
+        GPUDevice.prototype.createBuffer = function (desc) {
+            const buffer = createBuffer.call(this, desc);
+            tracker.created('buffers', buffer, desc.size);
+            return buffer;
+        };
+        const destroyBuffer = GPUBuffer.prototype.destroy;
+        GPUBuffer.prototype.destroy = function () {
+            tracker.destroyed('buffers', this);
+            return destroyBuffer.call(this);
+        };
+
+        const createTexture = GPUDevice.prototype.createTexture;
+        GPUDevice.prototype.createTexture = function (desc) {
+            const texture = createTexture.call(this, desc);
+            tracker.created('textures', texture, webgpuTextureBytes(desc));
+            return texture;
+        };
+        const destroyTexture = GPUTexture.prototype.destroy;
+        GPUTexture.prototype.destroy = function () {
+            tracker.destroyed('textures', this);
+            return destroyTexture.call(this);
+        };
+    }
+
+    installWebGL() {
+        if (typeof WebGL2RenderingContext === 'undefined') return;
+        const tracker = current;
+        const proto = WebGL2RenderingContext.prototype;
+
+        // Enum lookups and level sizes per context. The resource a sizing call targets
+        // is queried from the context when it happens, so binds need no wrapping.
+        const contexts = new WeakMap();
+        const stateOf = gl => {
+            if (!contexts.has(gl)) {
+                contexts.set(gl, {
+                    bufferBindings: new Map(Object.entries(GL_BUFFER_BINDINGS).map(([target, binding]) => [gl[target], gl[binding]])),
+                    levels: new WeakMap(), // texture -> Map(`${target}:${level}` -> bytes)
+                    channels: byEnum(gl, GL_FORMAT_CHANNELS),
+                    typeBytes: byEnum(gl, GL_TYPE_BYTES),
+                    packedBytes: byEnum(gl, GL_PACKED_TYPE_BYTES),
+                    internalBytes: byEnum(gl, GL_INTERNAL_FORMAT_BYTES)
+                });
+            }
+            return contexts.get(gl);
+        };
+        const wrap = (name, fn) => {
+            const original = proto[name];
+            proto[name] = function (...args) {
+                const result = original.apply(this, args);
+                fn(this, args, result);
+                return result;
+            };
+        };
+
+        // Buffers
+        wrap('createBuffer', (gl, args, buffer) => buffer && tracker.created('buffers', buffer));
+        wrap('deleteBuffer', (gl, [buffer]) => buffer && tracker.destroyed('buffers', buffer));
+        wrap('bufferData', (gl, [target, sizeOrData, , srcOffset = 0, length = 0]) => {
+            const binding = stateOf(gl).bufferBindings.get(target);
+            const buffer = binding !== undefined ? gl.getParameter(binding) : null;
+            if (!buffer) return;
+            let bytes = sizeOrData;
+            if (typeof sizeOrData !== 'number') {
+                const elementBytes = sizeOrData.BYTES_PER_ELEMENT || 1;
+                bytes = length > 0 ? length * elementBytes : sizeOrData.byteLength - srcOffset * elementBytes;
+            }
+            tracker.resized('buffers', buffer, bytes);
+        });
+
+        // Textures
+        // Bound to the active unit; cube faces are specified through their face
+        // target but bound as TEXTURE_CUBE_MAP
+        const boundTexture = (gl, target) => gl.getParameter(target === gl.TEXTURE_2D ? gl.TEXTURE_BINDING_2D : gl.TEXTURE_BINDING_CUBE_MAP);
+        // Tracks the size of each (face, level) so re-specifying a level replaces its bytes
+        const specify = (gl, target, level, bytes) => {
+            const texture = boundTexture(gl, target);
+            if (!texture) return;
+            const state = stateOf(gl);
+            if (!state.levels.has(texture)) state.levels.set(texture, new Map());
+            const levels = state.levels.get(texture);
+            levels.set(`${target}:${level}`, bytes);
+            tracker.resized('textures', texture, [...levels.values()].reduce((a, b) => a + b, 0), bytes);
+        };
+
+        wrap('createTexture', (gl, args, texture) => texture && tracker.created('textures', texture));
+        wrap('deleteTexture', (gl, [texture]) => texture && tracker.destroyed('textures', texture));
+        wrap('texImage2D', (gl, args) => {
+            const state = stateOf(gl);
+            // (target, level, internalformat, width, height, border, format, type, ...) or
+            // (target, level, internalformat, format, type, source)
+            const explicit = args.length >= 8;
+            const [target, level] = args;
+            const width = explicit ? args[3] : (args[5].width || args[5].videoWidth || 0);
+            const height = explicit ? args[4] : (args[5].height || args[5].videoHeight || 0);
+            const format = explicit ? args[6] : args[3];
+            const type = explicit ? args[7] : args[4];
+            const texelBytes = state.packedBytes.get(type) || (state.channels.get(format) || 4) * (state.typeBytes.get(type) || 1);
+            specify(gl, target, level, width * height * texelBytes);
+        });
+        wrap('texStorage2D', (gl, [target, levels, internalformat, width, height]) => {
+            const texelBytes = stateOf(gl).internalBytes.get(internalformat) || 4;
+            for (let level = 0; level < levels; level++) {
+                specify(gl, target, level, Math.max(1, width >> level) * Math.max(1, height >> level) * texelBytes);
+            }
+        });
+    }
+
+    // --- Results ---
+    // Called by the harness when warmup ends; allocations after this point are churn
+    markRecordingStart() {
+        this.recordingStart = {
+            buffers: { ...this.counters.buffers },
+            textures: { ...this.counters.textures }
+        };
+    }
+
+    // Peak over the whole run, steady state as allocated at the end of recording
+    summary() {
+        const summarizeKind = kind => {
+            const c = this.counters[kind];
+            const start = this.recordingStart ? this.recordingStart[kind] : null;
+            return {
+                created: c.created,
+                destroyed: c.destroyed,
+                bytesAllocated: c.bytesAllocated,
+                peakLive: c.peakLive,
+                peakBytes: c.peakBytes,
+                steadyLive: c.live,
+                steadyBytes: c.liveBytes,
+                afterInitBytes: start ? start.liveBytes : null,
+                createdWhileRecording: start ? c.created - start.created : null,
+                destroyedWhileRecording: start ? c.destroyed - start.destroyed : null
+            };
+        };
+        return {
+            api: this.api,
+            buffers: summarizeKind('buffers'),
+            textures: summarizeKind('textures')
+        };
+    }
+}
@@ -0,0 +1,49 @@
+// Typed benchmark failures. Every error the page reports ends up as a record
+// { category, message, api, scenario, count, phase, shaderLog } in results.json.
+
+export const ERROR_CATEGORIES = [
+    'unsupported',    // API, adapter or feature missing
+    'invalid-config', // Unknown scenario or parameter outside its registry schema
+    'shader-compile', // WebGL shader compile log / WGSL compilation messages
+    'program-link',   // WebGL program link log
+    'validation',     // WebGPU GPUValidationError
+    'out-of-memory',  // WebGPU GPUOutOfMemoryError
+    'internal',       // WebGPU GPUInternalError
+    'device-lost',    // WebGPU device.lost
+    'context-lost',   // WebGL webglcontextlost
+    'script',         // Uncaught exception or rejection in the page
+    // Set by the runner
+    'timeout',        // No result within the run timeout
+    'page-crash',     // Renderer crashed (Puppeteer 'error' event)
+    'runner',         // Navigation or protocol failure on the Node side
+    'unknown'
+];
+
+export class BenchmarkError extends Error {
+    constructor(category, message, { shaderLog = null } = {}) {
+        super(message);
+        this.name = 'BenchmarkError';
+        this.category = category;
+        this.shaderLog = shaderLog;
+    }
+}
+
+// Category of a GPUError from an error scope or an uncapturederror event
+export function gpuErrorCategory(error) {
+    if (typeof GPUValidationError !== 'undefined' && error instanceof GPUValidationError) return 'validation';
+    if (typeof GPUOutOfMemoryError !== 'undefined' && error instanceof GPUOutOfMemoryError) return 'out-of-memory';
+    if (typeof GPUInternalError !== 'undefined' && error instanceof GPUInternalError) return 'internal';
+    return 'unknown';
+}
+
+// Plain, serializable record of anything thrown or reported; context adds
+// api, scenario, count and phase
+export function toErrorRecord(error, context = {}) {
+    const isError = error instanceof Error;
+    return {
+        category: error?.category || (isError ? 'script' : 'unknown'),
+        message: isError ? error.message : String(error),
+        ...context,
+        shaderLog: error?.shaderLog || null
+    };
+}
@@ -0,0 +1,56 @@
+// Frame-time statistics shared by the harness. automation/stats.js applies the
+// same definitions to samples pooled across runs.
+
+export const PERCENTILES = [50, 90, 95, 99, 99.9];
+
+// Fixed histogram layout so histograms of different runs can be summed bucket by bucket
+export const HISTOGRAM_BUCKET_MS = 1;
+export const HISTOGRAM_MAX_MS = 100;
+
+// Frame budgets of 60 Hz and 30 Hz displays
+export const DEFAULT_JANK_BUDGETS = [16.7, 33.3];
+
+// 99.9 -> 'p999'
+export const percentileKey = p => 'p' + String(p).replace('.', '');
+
+// Linear interpolation between closest ranks of an ascending array
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+export function summarize(values) {
+    const n = values.length;
+    if (n === 0) return null;
+
+    const sorted = Float64Array.from(values).sort();
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const variance = sorted.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / n;
+
+    const summary = { n, mean, std: Math.sqrt(variance), min: sorted[0], max: sorted[n - 1] };
+    for (const p of PERCENTILES) summary[percentileKey(p)] = percentile(sorted, p);
+    return summary;
+}
+
+// Bucket i counts frames in [i * bucketMs, (i + 1) * bucketMs); longer frames go to overflow
+export function histogram(values, bucketMs = HISTOGRAM_BUCKET_MS, maxMs = HISTOGRAM_MAX_MS) {
+    const counts = new Array(Math.ceil(maxMs / bucketMs)).fill(0);
+    let overflow = 0;
+    for (const v of values) {
+        const i = Math.floor(v / bucketMs);
+        if (i < counts.length) counts[Math.max(i, 0)]++;
+        else overflow++;
+    }
+    return { bucketMs, maxMs, counts, overflow };
+}
+
+// Frames that took longer than each budget
+export function countOverBudgets(values, budgets = DEFAULT_JANK_BUDGETS) {
+    return budgets.map(budgetMs => {
+        const frames = values.filter(v => v > budgetMs).length;
+        return { budgetMs, frames, ratio: values.length > 0 ? frames / values.length : 0 };
+    });
+}
@@ -1,27 +1,104 @@
+import { createRandom } from '../shared/random.js';
+import { BenchmarkError } from '../metrics/errors.js';
+import { contextOptions, webglContextInfo } from './context.js';
+
+export const CLOCK_MODES = ['fixed', 'frame'];
+export const DEFAULT_TIMESTEP = 1 / 60; // s
+// Cube rotation of Scenarios A, B and E, the former 0.01 rad per frame at 60 Hz
+export const ROTATION_SPEED = 0.6; // rad/s
+
+// Simulation clock. render() gets the scene time in seconds, which never depends
+// on how fast frames are produced:
+//   'fixed' - time since the first frame, rounded down to whole timesteps, so runs
+//             at any FPS show the same scene at the same moment
+//   'frame' - frame index * timestep, so the scene depends only on the frame index
+export class SimulationClock {
+    constructor(mode = 'fixed', timestep = DEFAULT_TIMESTEP) {
+        if (!CLOCK_MODES.includes(mode)) throw new BenchmarkError('unsupported', `Unknown clock mode: ${mode}`);
+        this.mode = mode;
+        this.timestep = timestep;
+        this.frame = 0;
+        this.startTime = null;
+        this.time = 0;
+        this.steps = 0; // Whole timesteps since the previous frame, for incremental simulations
+    }
+
+    // Advances to the next frame and returns its scene time
+    tick(now = performance.now()) {
+        const previous = this.time;
+        if (this.mode === 'frame') {
+            this.time = this.frame * this.timestep;
+        } else {
+            if (this.startTime === null) this.startTime = now;
+            this.time = Math.floor((now - this.startTime) / 1000 / this.timestep) * this.timestep;
+        }
+        this.steps = Math.round((this.time - previous) / this.timestep);
+        this.frame++;
+        return this.time;
+    }
+}
+
 export class Scenario {
-    constructor(canvas, harness) {
+    // params are applied before subclass constructors run, so any sizing
+    // done there already sees the requested workload.
+    constructor(canvas, harness, params = {}) {
         this.canvas = canvas;
         this.harness = harness;
         this.context = null;
         this.device = null; // WebGPU only
+        this.target = null; // WebGPU only, the configured canvas (webgpu/canvas.js)
         this.gl = null;     // WebGL only
 
         // Scenario Parameters
-        this.count = 100;
+        this.count = params.count ?? 100;
+        this.requestedCount = this.count;
+        this.verify = params.verify ?? false; // Check the output after recording, where the scenario supports it
+        // Initial data comes from this.random(), never Math.random(), so a seed reproduces it
+        this.seed = params.seed ?? 1;
+        this.random = createRandom(this.seed);
+        // Animation state is a function of the clock's time, never of the frame rate
+        this.clock = new SimulationClock(params.clock, params.timestep);
+        // Canvas context options, the same for both APIs (scenarios/context.js)
+        this.contextOptions = contextOptions(params);
         this.isRunning = false;
+        this.aborted = false; // Timed out, see abort()
         this.animationFrameId = null;
+        this.frameInFlight = null; // Settles once the frame being rendered has ended
     }
 
     async init() {
         throw new Error("init() must be implemented by subclass");
     }
 
-    async render() {
+    // time: scene time in seconds from this.clock
+    async render(time) {
         throw new Error("render() must be implemented by subclass");
     }
 
+    // Describes the workload actually executed. Subclasses extend this with
+    // scenario specific details (matrix size, draw calls, ...).
+    getWorkload() {
+        return {
+            requestedCount: this.requestedCount,
+            effectiveCount: this.count,
+            capped: this.count !== this.requestedCount
+        };
+    }
+
+    // Work done per frame in the scenario's own units, e.g. { triangles: 1200 }.
+    // The harness reports each one as a rate per second next to FPS.
+    getWorkUnits() {
+        return {};
+    }
+
     start() {
+        if (this.aborted) return;
         this.isRunning = true;
+        this.harness.setWorkload(this.getWorkload());
+        this.harness.setWorkUnits(this.getWorkUnits());
+        this.harness.setSeed(this.seed);
+        this.harness.setClock({ mode: this.clock.mode, timestep: this.clock.timestep });
+        this.harness.setContext(this.target ? this.target.info() : this.gl ? webglContextInfo(this.gl, this.contextOptions) : null);
         this.harness.endInitTimer();
         this.run();
     }
@@ -31,27 +108,79 @@ export class Scenario {
 
         this.harness.startFrame();
 
-        const renderPromise = this.render();
+        const renderPromise = this.render(this.clock.tick());
 
         if (renderPromise instanceof Promise) {
-            renderPromise.then((gpuTimeMs) => {
-                this.harness.endFrame(gpuTimeMs !== undefined ? gpuTimeMs : -1);
-                this.animationFrameId = requestAnimationFrame(() => this.run());
+            // Only the CPU side of render() is awaited here. GPU timings are read
+            // back by the harness a few frames later, so frames keep flowing.
+            this.frameInFlight = renderPromise.then(() => {
+                this.harness.endFrame();
+                this.next();
             }).catch(err => {
-                this.harness.reportError(err.message);
+                this.harness.reportError(err);
                 this.stop();
             });
         } else {
-            // WebGL usually is synchronous returning undefined
-            this.harness.endFrame(-1);
-            this.animationFrameId = requestAnimationFrame(() => this.run());
+            this.harness.endFrame();
+            this.next();
         }
     }
 
+    next() {
+        // A parity capture freezes the scene on the captured frame
+        if (this.harness.captureAfterFrame(this.canvas)) {
+            this.stop();
+            return;
+        }
+        this.animationFrameId = requestAnimationFrame(() => this.run());
+    }
+
     stop() {
         this.isRunning = false;
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
         }
     }
+
+    // Tears the scenario down so another one can run in the same page: stops the
+    // loop, waits for the frame in flight, lets the subclass delete what it created,
+    // then releases the harness timing resources and the context or device.
+    async dispose() {
+        this.stop();
+        await this.frameInFlight;
+        if (this.gl || this.device) this.releaseResources();
+        this.harness.dispose();
+        this.releaseContext();
+    }
+
+    // Teardown of a run that timed out, where init() or the frame in flight may
+    // never settle: nothing is awaited, and the device or context is gone right
+    // away. Called again once init() settles, for a device it created since; the
+    // loop is never started after this.
+    abort() {
+        this.aborted = true;
+        this.stop();
+        this.harness.dispose();
+        this.releaseContext();
+    }
+
+    // Destroys the device or loses the WebGL context, which frees everything on it
+    releaseContext() {
+        if (this.device) {
+            this.target?.destroy();
+            this.context?.unconfigure();
+            this.device.destroy();
+            this.device = null;
+        }
+        if (this.gl) {
+            this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+            this.gl = null;
+        }
+    }
+
+    // Deletes the buffers, textures, programs and pipelines of the scenario. Called
+    // by dispose() with the context or device still alive; init() may have stopped
+    // half way, so anything can be missing.
+    releaseResources() {
+    }
 }
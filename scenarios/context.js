@@ -0,0 +1,63 @@
+import { BenchmarkError } from '../metrics/errors.js';
+
+// Canvas context options, applied the same way on both APIs (contextOptions in
+// registry.json). The defaults are what WebGPU does out of the box: no MSAA, an
+// opaque canvas, nothing preserved. WebGL's own defaults (antialias and alpha on)
+// are not used.
+export function contextOptions(params = {}) {
+    const sampleCount = Math.max(params.sampleCount ?? 1, params.antialias ? 4 : 1);
+    return {
+        sampleCount,
+        antialias: sampleCount > 1,
+        alpha: params.alpha ?? false,
+        premultipliedAlpha: params.premultipliedAlpha ?? true,
+        preserveDrawingBuffer: params.preserveDrawingBuffer ?? false,
+        powerPreference: params.powerPreference ?? 'default',
+        desynchronized: params.desynchronized ?? false,
+        canvasFormat: params.canvasFormat ?? 'preferred'
+    };
+}
+
+// WebGL 2 context of the canvas with the options. WebGL cannot pick the sample
+// count, antialias gets the browser's (reported by webglContextInfo()).
+export function createWebGLContext(canvas, options) {
+    if (options.canvasFormat === 'bgra8unorm') {
+        throw new BenchmarkError('unsupported', 'WebGL has no bgra8unorm drawing buffer');
+    }
+    const gl = canvas.getContext('webgl2', {
+        antialias: options.antialias,
+        alpha: options.alpha,
+        premultipliedAlpha: options.premultipliedAlpha,
+        preserveDrawingBuffer: options.preserveDrawingBuffer,
+        powerPreference: options.powerPreference,
+        desynchronized: options.desynchronized
+    });
+    if (!gl) throw new BenchmarkError('unsupported', 'WebGL 2 not supported');
+
+    if (options.canvasFormat === 'rgba16float') {
+        if (typeof gl.drawingBufferStorage !== 'function') {
+            throw new BenchmarkError('unsupported', 'WebGL drawingBufferStorage() is not available for an rgba16float canvas');
+        }
+        // Kept when the canvas is resized
+        gl.drawingBufferStorage(gl.RGBA16F, canvas.width, canvas.height);
+    }
+    return gl;
+}
+
+// Options in effect as the context reports them
+export function webglContextInfo(gl, options) {
+    const attributes = gl.getContextAttributes();
+    const formats = { [gl.RGBA8]: 'rgba8unorm', [gl.RGBA16F]: 'rgba16float', [gl.SRGB8_ALPHA8]: 'rgba8unorm-srgb' };
+    return {
+        requested: options,
+        sampleCount: Math.max(1, gl.getParameter(gl.SAMPLES)),
+        antialias: attributes.antialias,
+        alpha: attributes.alpha,
+        premultipliedAlpha: attributes.premultipliedAlpha,
+        preserveDrawingBuffer: attributes.preserveDrawingBuffer,
+        powerPreference: attributes.powerPreference,
+        desynchronized: attributes.desynchronized,
+        // drawingBufferFormat is newer than WebGL 2 itself
+        canvasFormat: formats[gl.drawingBufferFormat ?? gl.RGBA8] ?? String(gl.drawingBufferFormat)
+    };
+}
@@ -1,53 +1,33 @@
-import { BenchmarkHarness } from '../metrics/Harness.js';
+import { runConfigFromUrl, startRun, runSequence } from './orchestrator.js';
 
+// Anything the scenario does not catch itself goes to the harness of the current run
+window.addEventListener('error', e => window.__BENCHMARK_HARNESS__?.reportError(e.error || e.message));
+window.addEventListener('unhandledrejection', e => window.__BENCHMARK_HARNESS__?.reportError(e.reason));
+
+// ?sequence=1 loads the page without a run: the runner's same-page isolation calls
+// window.__BENCHMARK_SEQUENCE__(configs, { timeoutMs }) instead, see orchestrator.js
 const urlParams = new URLSearchParams(window.location.search);
-const api = urlParams.get('api') || 'webgl';
-const scenarioName = urlParams.get('scenario') || 'A';
-const count = parseInt(urlParams.get('count') || '100', 10);
+if (urlParams.get('sequence') === '1') {
+    window.__BENCHMARK_SEQUENCE__ = runSequence;
+    document.getElementById('status-value').textContent = 'Waiting for runs...';
+} else {
+    loadScenario();
+}
 
-document.getElementById('api-label').textContent = api.toUpperCase();
-document.getElementById('scenario-label').textContent = scenarioName;
-document.getElementById('count-label').textContent = count;
+async function loadScenario() {
+    const canvas = document.getElementById('canvas');
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
 
-const harness = new BenchmarkHarness();
+    const { scenario } = await startRun(canvas, runConfigFromUrl(window.location.search));
+    if (!scenario) return;
 
-async function loadScenario() {
-    try {
-        const canvas = document.getElementById('canvas');
+    // Handle window resize
+    window.addEventListener('resize', () => {
         canvas.width = window.innerWidth;
         canvas.height = window.innerHeight;
-
-        let scenario;
-        if (api === 'webgl') {
-            const module = await import(`../webgl/Scenario${scenarioName}.js`);
-            scenario = new module.default(canvas, harness);
-        } else if (api === 'webgpu') {
-            const module = await import(`../webgpu/Scenario${scenarioName}.js`);
-            scenario = new module.default(canvas, harness);
-        } else {
-            throw new Error(`Unknown API: ${api}`);
+        if (typeof scenario.resize === 'function') {
+            scenario.resize(canvas.width, canvas.height);
         }
-
-        scenario.count = count;
-        harness.startInitTimer();
-        await scenario.init();
-
-        scenario.start();
-
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            canvas.width = window.innerWidth;
-            canvas.height = window.innerHeight;
-            if (typeof scenario.resize === 'function') {
-                scenario.resize(canvas.width, canvas.height);
-            }
-        });
-
-    } catch (e) {
-        harness.reportError(e.message || String(e));
-        console.error(e);
-    }
+    });
 }
-
-// Start loading the scenario
-loadScenario();
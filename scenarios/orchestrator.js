@@ -0,0 +1,191 @@
+import { BenchmarkHarness } from '../metrics/Harness.js';
+import { ResourceTracker } from '../metrics/ResourceTracker.js';
+import { randomSeed } from '../shared/random.js';
+import { DEFAULT_TIMESTEP } from './Scenario.js';
+import { scenarioEntry, resolveParams } from './registry.js';
+
+// URL parameters of the harness and the page; every other one is a scenario
+// parameter, checked against the registry schema (scenarios/registry.json)
+const RUN_SETTINGS = ['api', 'scenario', 'warmup', 'duration', 'framesInFlight', 'jankBudgets', 'seed', 'clock', 'timestep', 'verify', 'captureFrame', 'memory', 'sequence'];
+
+// Run configuration from the page URL, e.g. ?api=webgpu&scenario=B&count=1000.
+// Settings left out of the URL keep the harness and registry defaults.
+export function runConfigFromUrl(search) {
+    const params = new URLSearchParams(search);
+    const number = name => params.has(name) ? parseFloat(params.get(name)) : undefined;
+    const seed = params.get('seed'); // uint32, seeds the scenario's initial data
+    return {
+        api: params.get('api') || 'webgl',
+        scenario: params.get('scenario') || 'A',
+        params: Object.fromEntries([...params].filter(([name]) => !RUN_SETTINGS.includes(name))),
+        warmup: number('warmup'), // ms
+        duration: number('duration'), // seconds
+        framesInFlight: number('framesInFlight'), // WebGPU timestamp readback ring size
+        jankBudgets: params.get('jankBudgets')?.split(',').map(parseFloat), // ms, e.g. 16.7,33.3
+        seed: seed !== null ? parseInt(seed, 10) >>> 0 : randomSeed(),
+        clock: params.get('clock') || 'fixed', // Simulation clock: 'fixed' or 'frame', see Scenario.js
+        timestep: number('timestep') ?? DEFAULT_TIMESTEP, // s per clock step
+        verify: params.get('verify') === '1', // Scenario D: check the product against a CPU reference
+        captureFrame: number('captureFrame'), // Parity check: stop and capture the canvas at this frame
+        memory: params.get('memory') === '1' // Buffer/texture accounting and JS heap samples, see ResourceTracker.js
+    };
+}
+
+// Scenario of the latest run, as soon as it exists; runSequence() aborts it on a
+// timeout even while init() is still pending
+let activeScenario = null;
+
+// Runs started in this page. Error records carry the id of their run
+// (runInfo.runId), so an error of an earlier run is never taken for a later one's.
+let runCount = 0;
+
+// How long runSequence() waits for an aborted run's init() and last frame to settle
+const ABORT_SETTLE_MS = 5000;
+
+// Creates the harness and scenario of one run on canvas and starts it. Failures
+// are reported through the harness; scenario is null when it could not be created.
+export async function startRun(canvas, config, runId = ++runCount) {
+    const { api, scenario: scenarioName, verify, clock, timestep } = config;
+    activeScenario = null;
+    const rawParams = config.params || {};
+    document.getElementById('api-label').textContent = api.toUpperCase();
+    document.getElementById('scenario-label').textContent = scenarioName;
+    document.getElementById('count-label').textContent = rawParams.count ?? '-';
+
+    const harness = new BenchmarkHarness();
+    harness.runInfo = { runId, api, scenario: scenarioName, count: rawParams.count !== undefined ? Number(rawParams.count) : null };
+    // Lets the runner read the harness state, e.g. the phase a run timed out in
+    window.__BENCHMARK_HARNESS__ = harness;
+    if (config.warmup !== undefined) harness.warmupDuration = config.warmup;
+    if (config.duration !== undefined) harness.targetDuration = config.duration;
+    if (config.framesInFlight !== undefined) harness.gpuFramesInFlight = Math.max(1, Math.floor(config.framesInFlight));
+    if (config.jankBudgets !== undefined) harness.jankBudgets = config.jankBudgets.filter(b => b > 0);
+    if (config.captureFrame !== undefined) harness.captureFrame = Math.max(1, Math.floor(config.captureFrame));
+
+    if (config.memory) {
+        // Wrap the allocation calls before the scenario creates anything
+        harness.resourceTracker = new ResourceTracker();
+        harness.resourceTracker.install(api);
+        // Exposed by the runner (automation/memory.js), absent when the page is opened by hand
+        harness.heapSampler = window.__BENCHMARK_HEAP_SAMPLE__ ?? null;
+    }
+
+    let scenario = null;
+    try {
+        if (api === 'webgl') harness.watchWebGLContext(canvas);
+
+        // Only ids and APIs listed in the registry ever reach the module path
+        const entry = await scenarioEntry(scenarioName, api);
+        const params = resolveParams(entry, api, rawParams);
+        harness.runInfo.count = params.count;
+        harness.setParams(params);
+        document.getElementById('count-label').textContent = params.count;
+
+        const module = await import(`../${api}/Scenario${entry.id}.js`);
+        scenario = new module.default(canvas, harness, { ...params, verify, seed: config.seed ?? randomSeed(), clock, timestep });
+        activeScenario = scenario;
+
+        harness.startInitTimer();
+        await scenario.init();
+        // Before the first frame, so the sample's round trip is outside the recording window
+        await harness.sampleHeap('afterInit');
+
+        scenario.start();
+    } catch (e) {
+        harness.reportError(e);
+        console.error(e);
+    }
+    return { harness, scenario };
+}
+
+// Outcome of run runId: { result }, { capture } or { error }, like the runner's
+// loadAndWait(). Listens before the run starts, so nothing is missed.
+function waitForOutcome(runId, timeoutMs) {
+    return new Promise(resolve => {
+        const listeners = {
+            'benchmark-complete': e => done({ result: e.detail }),
+            'benchmark-capture': e => done({ capture: e.detail }),
+            'benchmark-error': e => {
+                if (e.detail.runId === runId) done({ error: e.detail });
+            }
+        };
+        const to = timeoutMs ? setTimeout(() => done({
+            error: {
+                category: 'timeout',
+                message: `No result within ${timeoutMs / 1000}s`,
+                runId,
+                phase: window.__BENCHMARK_HARNESS__?.phase ?? null
+            }
+        }), timeoutMs) : null;
+        const done = outcome => {
+            clearTimeout(to);
+            Object.entries(listeners).forEach(([name, fn]) => window.removeEventListener(name, fn));
+            resolve(outcome);
+        };
+        Object.entries(listeners).forEach(([name, fn]) => window.addEventListener(name, fn));
+    });
+}
+
+// Every run gets a canvas of its own: a canvas keeps the first context type it was
+// asked for, and a lost WebGL context cannot be used again.
+function freshCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.id = 'canvas';
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+    document.getElementById('canvas').replaceWith(canvas);
+    return canvas;
+}
+
+// Whether an aborted run's init() and last frame settle within ABORT_SETTLE_MS.
+// They fail on the lost device or context; until they have, an uncaught error in
+// the page may still be theirs.
+function abortSettled(started) {
+    const settled = started.then(({ scenario }) => {
+        scenario?.abort();
+        return scenario?.frameInFlight;
+    }).then(() => true, () => true);
+    const expired = new Promise(resolve => setTimeout(() => resolve(false), ABORT_SETTLE_MS));
+    return Promise.race([settled, expired]);
+}
+
+// Runs the configurations one after another in this page, each on a fresh canvas
+// and disposed before the next one starts. Resolves with one outcome per
+// configuration, in order; a failed run does not stop the sequence. Only a run
+// that timed out and could not be torn down does: its error has pageReusable
+// false, and the page has to be reloaded.
+export async function runSequence(configs, { timeoutMs = null } = {}) {
+    const outcomes = [];
+    for (const config of configs) {
+        // What the previous run published must not be taken for this run's outcome
+        delete window.__BENCHMARK_RESULTS__;
+        delete window.__BENCHMARK_CAPTURE__;
+        delete window.__BENCHMARK_ERROR__;
+        document.getElementById('error-overlay').style.display = 'none';
+
+        const runId = ++runCount;
+        const outcome = waitForOutcome(runId, timeoutMs);
+        const started = startRun(freshCanvas(), config, runId);
+        const settled = await outcome;
+
+        if (settled.error?.category === 'timeout') {
+            // Stuck in init() or in a frame that never settles: tear the run down
+            // without waiting on it, so its device or context is gone right away.
+            // The next run starts once what was pending has failed, so no uncaught
+            // error of this run can end up in the next run's harness.
+            if (activeScenario) activeScenario.abort();
+            else window.__BENCHMARK_HARNESS__.dispose();
+            if (!await abortSettled(started)) {
+                settled.error.pageReusable = false;
+                outcomes.push(settled);
+                break;
+            }
+        } else {
+            const { harness, scenario } = await started;
+            if (scenario) await scenario.dispose();
+            else harness.dispose();
+        }
+        outcomes.push(settled);
+    }
+    return outcomes;
+}
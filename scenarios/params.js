@@ -0,0 +1,36 @@
+// Parsing of scenario parameters against their registry.json schema. The page
+// (registry.js) and the runner (automation/registry.js) both use it, so a value
+// the runner accepts is one the page accepts.
+
+// Typed value of one parameter; URL and CLI values arrive as strings, suite values
+// as JSON. Returns { value }, or { expected } describing what a valid value is.
+export function parseParamValue(schema, value) {
+    if (schema.type === 'boolean') {
+        if (value === true || value === 'true' || value === '1') return { value: true };
+        if (value === false || value === 'false' || value === '0') return { value: false };
+        return { expected: 'true or false' };
+    }
+    if (schema.type === 'color') {
+        // r,g,b in 0-1, e.g. 0.1,0.1,0.1
+        const rgb = Array.isArray(value) ? value : String(value).split(',').map(c => c.trim() === '' ? NaN : Number(c));
+        if (rgb.length !== 3 || !rgb.every(c => typeof c === 'number' && c >= 0 && c <= 1)) {
+            return { expected: 'r,g,b with each channel in 0-1' };
+        }
+        return { value: rgb };
+    }
+    if (schema.type === 'enum') {
+        // Values may be numbers, e.g. sampleCount
+        const match = schema.values.find(v => String(v) === String(value));
+        if (match === undefined) return { expected: `one of ${schema.values.join(', ')}` };
+        return { value: match };
+    }
+
+    const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num) || (schema.type === 'integer' && !Number.isInteger(num))) {
+        return { expected: schema.type === 'integer' ? 'an integer' : 'a number' };
+    }
+    if ((schema.min !== undefined && num < schema.min) || (schema.max !== undefined && num > schema.max)) {
+        return { expected: `a value in ${schema.min ?? '-∞'}-${schema.max ?? '∞'}` };
+    }
+    return { value: num };
+}
@@ -0,0 +1,61 @@
+import { BenchmarkError } from '../metrics/errors.js';
+import { parseParamValue } from './params.js';
+
+// Scenario metadata and parameter schemas from registry.json. The runner reads the
+// same file (automation/registry.js), so both sides agree on ids and ranges.
+let registry = null;
+
+export function loadRegistry() {
+    if (!registry) {
+        registry = fetch(new URL('./registry.json', import.meta.url)).then(res => {
+            if (!res.ok) throw new Error(`Could not load the scenario registry (HTTP ${res.status})`);
+            return res.json();
+        });
+    }
+    return registry;
+}
+
+// Registry entry of a scenario the api can run. Every scenario also takes the
+// canvas context options (contextOptions in registry.json, see context.js).
+export async function scenarioEntry(id, api) {
+    const { scenarios, contextOptions } = await loadRegistry();
+    const entry = scenarios.find(s => s.id === id);
+    if (!entry) {
+        throw new BenchmarkError('invalid-config', `Unknown scenario "${id}", expected one of ${scenarios.map(s => s.id).join(', ')}`);
+    }
+    if (!entry.apis.includes(api)) {
+        throw new BenchmarkError('unsupported', `Scenario ${id} has no ${api} implementation`);
+    }
+    return { ...entry, params: { ...entry.params, ...contextOptions } };
+}
+
+// Typed value of one parameter (params.js)
+function parseParam(id, name, schema, value) {
+    const parsed = parseParamValue(schema, value);
+    if ('expected' in parsed) {
+        throw new BenchmarkError('invalid-config', `Scenario ${id} parameter ${name} expects ${parsed.expected}, got "${value}"`);
+    }
+    return parsed.value;
+}
+
+// Checks raw ({ name: value }) against the entry's schema and fills in defaults
+// (apiDefaults where the API has its own).
+// Parameters of other APIs are rejected, so a typo never runs silently with the default.
+export function resolveParams(entry, api, raw) {
+    for (const name of Object.keys(raw)) {
+        const schema = entry.params[name];
+        if (!schema) {
+            throw new BenchmarkError('invalid-config', `Scenario ${entry.id} has no parameter ${name}, expected one of ${Object.keys(entry.params).join(', ')}`);
+        }
+        if (schema.apis && !schema.apis.includes(api)) {
+            throw new BenchmarkError('invalid-config', `Scenario ${entry.id} parameter ${name} only applies to ${schema.apis.join(', ')}`);
+        }
+    }
+
+    const params = {};
+    for (const [name, schema] of Object.entries(entry.params)) {
+        if (schema.apis && !schema.apis.includes(api)) continue;
+        params[name] = raw[name] !== undefined ? parseParam(entry.id, name, schema, raw[name]) : schema.apiDefaults?.[api] ?? schema.default;
+    }
+    return params;
+}
@@ -1,5 +1,6 @@
 const express = require('express');
 const path = require('path');
+const { SCENARIOS } = require('./automation/registry');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -9,4 +10,9 @@ app.use(express.static(path.join(__dirname)));
 
 app.listen(PORT, () => {
     console.log(`Benchmark server running at http://localhost:${PORT}`);
+    // One link per registered scenario, with its default count
+    for (const s of SCENARIOS) {
+        const url = `http://localhost:${PORT}/?api=${s.apis[0]}&scenario=${s.id}&count=${s.params.count.default}`;
+        console.log(`  ${s.id}  ${s.title.padEnd(22)} ${url}  (api: ${s.apis.join(', ')})`);
+    }
 });
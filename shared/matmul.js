@@ -0,0 +1,34 @@
+// CPU reference for the Scenario D matrix product. Matrices are row-major
+// size x size, C[y][x] = sum_i A[y][i] * B[i][x], accumulated in doubles.
+
+export const VERIFY_TOLERANCE = 1e-3; // Relative error allowed per cell (float32 accumulation on the GPU)
+const MAX_VERIFIED_CELLS = 65536; // Larger products are checked on an even sample of cells
+
+export function verifyMatmul(a, b, result, size, tolerance = VERIFY_TOLERANCE) {
+    const cells = size * size;
+    // Odd stride, so power-of-two sizes do not sample the same columns in every row
+    const step = Math.max(1, Math.floor(cells / MAX_VERIFIED_CELLS)) | 1;
+
+    let cellsChecked = 0;
+    let mismatches = 0;
+    let maxRelativeError = 0;
+    let firstMismatch = null;
+    for (let cell = 0; cell < cells; cell += step) {
+        const y = Math.floor(cell / size);
+        const x = cell % size;
+        let expected = 0;
+        for (let i = 0; i < size; i++) expected += a[y * size + i] * b[i * size + x];
+
+        const actual = result[cell];
+        const error = Math.abs(actual - expected) / Math.max(Math.abs(expected), 1e-6);
+        cellsChecked++;
+        // NaN counts as a mismatch
+        if (!(error <= tolerance)) {
+            mismatches++;
+            if (!firstMismatch) firstMismatch = { row: y, column: x, expected, actual };
+        }
+        if (Number.isFinite(error)) maxRelativeError = Math.max(maxRelativeError, error);
+    }
+
+    return { passed: mismatches === 0, tolerance, size, cellsChecked, mismatches, maxRelativeError, firstMismatch };
+}
@@ -0,0 +1,20 @@
+// Seeded PRNG for scenario data. The same seed gives bit-identical initial buffers
+// on every run and on both backends, as long as the scenarios draw values in the
+// same order.
+
+// mulberry32: 32-bit state, returns floats in [0, 1) like Math.random()
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seed for runs that do not ask for one; it is still recorded with the results
+export function randomSeed() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+}
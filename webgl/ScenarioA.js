@@ -1,4 +1,6 @@
-import { Scenario } from '../scenarios/Scenario.js';
+import { Scenario, ROTATION_SPEED } from '../scenarios/Scenario.js';
+import { createWebGLContext } from '../scenarios/context.js';
+import { BenchmarkError } from '../metrics/errors.js';
 import { mat4, CubeData } from '../shared/math.js';
 
 const vsSource = `#version 300 es
@@ -39,10 +41,14 @@ void main() {
 `;
 
 export default class ScenarioA_WebGL extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.gl = canvas.getContext('webgl2');
-        if (!this.gl) throw new Error('WebGL 2 not supported');
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0.1, 0.1, 0.1];
+        this.gl = createWebGLContext(canvas, this.contextOptions);
+
+        // The baseline always draws exactly one cube
+        this.count = 1;
 
         this.program = null;
         this.vao = null;
@@ -56,6 +62,7 @@ export default class ScenarioA_WebGL extends Scenario {
 
     async init() {
         const gl = this.gl;
+        this.harness.initWebGLTimerQueries(gl);
 
         // Compile shaders
         this.program = this.createProgram(gl, vsSource, fsSource);
@@ -71,26 +78,26 @@ export default class ScenarioA_WebGL extends Scenario {
         this.vao = gl.createVertexArray();
         gl.bindVertexArray(this.vao);
 
-        const positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+        this.positionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, CubeData.positions, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(0);
         gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
 
-        const normalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+        this.normalBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, CubeData.normals, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(1);
         gl.vertexAttribPointer(1, 3, gl.FLOAT, false, 0, 0);
 
-        const indexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        this.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, CubeData.indices, gl.STATIC_DRAW);
 
         gl.bindVertexArray(null);
 
         gl.enable(gl.DEPTH_TEST);
-        gl.clearColor(0.1, 0.1, 0.1, 1.0);
+        gl.clearColor(...this.clearColor, 1.0);
 
         this.resize(this.canvas.width, this.canvas.height);
     }
@@ -100,15 +107,33 @@ export default class ScenarioA_WebGL extends Scenario {
         mat4.perspective(this.projectionMatrix, 45 * Math.PI / 180, width / height, 0.1, 100.0, false);
     }
 
-    async render() {
+    releaseResources() {
         const gl = this.gl;
+        [this.positionBuffer, this.normalBuffer, this.indexBuffer].forEach(b => gl.deleteBuffer(b));
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+    }
+
+    getWorkload() {
+        return { ...super.getWorkload(), drawCalls: 1 };
+    }
+
+    getWorkUnits() {
+        return { triangles: CubeData.indices.length / 3 };
+    }
+
+    async render(time) {
+        const gl = this.gl;
+        this.harness.beginGLTimer();
+        this.harness.beginPhase('encode');
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
         gl.useProgram(this.program);
         gl.bindVertexArray(this.vao);
 
         // Update matrices
-        this.rotation += 0.01;
+        this.harness.beginPhase('update');
+        this.rotation = time * ROTATION_SPEED;
         mat4.identity(this.modelViewMatrix);
         mat4.translate(this.modelViewMatrix, this.modelViewMatrix, [0.0, 0.0, -5.0]);
         mat4.rotateX(this.modelViewMatrix, this.modelViewMatrix, this.rotation);
@@ -125,11 +150,16 @@ export default class ScenarioA_WebGL extends Scenario {
         this.normalMatrix[7] = this.modelViewMatrix[9];
         this.normalMatrix[8] = this.modelViewMatrix[10];
 
+        this.harness.beginPhase('upload');
         gl.uniformMatrix4fv(this.uniforms.uProjectionMatrix, false, this.projectionMatrix);
         gl.uniformMatrix4fv(this.uniforms.uModelViewMatrix, false, this.modelViewMatrix);
         gl.uniformMatrix3fv(this.uniforms.uNormalMatrix, false, this.normalMatrix);
 
+        this.harness.beginPhase('encode');
         gl.drawElements(gl.TRIANGLES, CubeData.indices.length, gl.UNSIGNED_SHORT, 0);
+        this.harness.endPhase();
+
+        this.harness.endGLTimer();
     }
 
     createShader(gl, type, source) {
@@ -139,7 +169,7 @@ export default class ScenarioA_WebGL extends Scenario {
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
             const info = gl.getShaderInfoLog(shader);
             gl.deleteShader(shader);
-            throw new Error('Shader compilation error: ' + info);
+            throw new BenchmarkError('shader-compile', 'Shader compilation error', { shaderLog: info });
         }
         return shader;
     }
@@ -152,7 +182,7 @@ export default class ScenarioA_WebGL extends Scenario {
         gl.attachShader(program, fs);
         gl.linkProgram(program);
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            throw new Error('Program link error: ' + gl.getProgramInfoLog(program));
+            throw new BenchmarkError('program-link', 'Program link error', { shaderLog: gl.getProgramInfoLog(program) });
         }
         return program;
     }
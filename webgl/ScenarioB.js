@@ -1,4 +1,6 @@
-import { Scenario } from '../scenarios/Scenario.js';
+import { Scenario, ROTATION_SPEED } from '../scenarios/Scenario.js';
+import { createWebGLContext } from '../scenarios/context.js';
+import { BenchmarkError } from '../metrics/errors.js';
 import { mat4, CubeData } from '../shared/math.js';
 
 const vsSource = `#version 300 es
@@ -41,10 +43,12 @@ void main() {
 `;
 
 export default class ScenarioB_WebGL extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.gl = canvas.getContext('webgl2');
-        if (!this.gl) throw new Error('WebGL 2 not supported');
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0.1, 0.1, 0.1];
+        this.spacing = params.spacing ?? 3.0; // Distance between neighbouring cubes
+        this.gl = createWebGLContext(canvas, this.contextOptions);
 
         this.program = null;
         this.vao = null;
@@ -58,6 +62,7 @@ export default class ScenarioB_WebGL extends Scenario {
 
     async init() {
         const gl = this.gl;
+        this.harness.initWebGLTimerQueries(gl);
 
         this.program = this.createProgram(gl, vsSource, fsSource);
         gl.useProgram(this.program);
@@ -70,20 +75,20 @@ export default class ScenarioB_WebGL extends Scenario {
         this.vao = gl.createVertexArray();
         gl.bindVertexArray(this.vao);
 
-        const positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+        this.positionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, CubeData.positions, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(0);
         gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
 
-        const normalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+        this.normalBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, CubeData.normals, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(1);
         gl.vertexAttribPointer(1, 3, gl.FLOAT, false, 0, 0);
 
-        const indexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        this.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, CubeData.indices, gl.STATIC_DRAW);
 
         // Instance buffer (mat4 per instance)
@@ -101,14 +106,14 @@ export default class ScenarioB_WebGL extends Scenario {
 
         gl.bindVertexArray(null);
         gl.enable(gl.DEPTH_TEST);
-        gl.clearColor(0.1, 0.1, 0.1, 1.0);
+        gl.clearColor(...this.clearColor, 1.0);
 
         this.resize(this.canvas.width, this.canvas.height);
 
         // Setup initial static positions for instances
         this.instanceTransforms = [];
         const gridSize = Math.ceil(Math.pow(this.count, 1 / 3));
-        const spacing = 3.0;
+        const spacing = this.spacing;
         let index = 0;
         for (let x = 0; x < gridSize; x++) {
             for (let y = 0; y < gridSize; y++) {
@@ -130,24 +135,44 @@ export default class ScenarioB_WebGL extends Scenario {
         mat4.perspective(this.projectionMatrix, 45 * Math.PI / 180, width / height, 0.1, 1000.0, false);
     }
 
-    async render() {
+    releaseResources() {
         const gl = this.gl;
+        [this.positionBuffer, this.normalBuffer, this.indexBuffer, this.instanceBuffer].forEach(b => gl.deleteBuffer(b));
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+    }
+
+    getWorkload() {
+        return { ...super.getWorkload(), instances: this.count, drawCalls: 1 };
+    }
+
+    getWorkUnits() {
+        return { triangles: this.count * CubeData.indices.length / 3, instances: this.count };
+    }
+
+    async render(time) {
+        const gl = this.gl;
+        this.harness.beginGLTimer();
+        this.harness.beginPhase('encode');
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
         gl.useProgram(this.program);
         gl.bindVertexArray(this.vao);
 
-        this.rotation += 0.01;
+        this.harness.beginPhase('update');
+        this.rotation = time * ROTATION_SPEED;
         mat4.identity(this.viewMatrix);
         const distance = Math.pow(this.count, 1 / 3) * 4.0;
         mat4.translate(this.viewMatrix, this.viewMatrix, [0.0, 0.0, -distance]);
         mat4.rotateX(this.viewMatrix, this.viewMatrix, this.rotation * 0.5);
         mat4.rotateY(this.viewMatrix, this.viewMatrix, this.rotation * 0.3);
 
+        this.harness.beginPhase('upload');
         gl.uniformMatrix4fv(this.uniforms.uProjectionMatrix, false, this.projectionMatrix);
         gl.uniformMatrix4fv(this.uniforms.uViewMatrix, false, this.viewMatrix);
 
         // Update instance data
+        this.harness.beginPhase('update');
         for (let i = 0; i < this.count; i++) {
             const offset = i * 16;
             const pos = this.instanceTransforms[i];
@@ -161,10 +186,15 @@ export default class ScenarioB_WebGL extends Scenario {
             this.instanceData.set(tmp, offset);
         }
 
+        this.harness.beginPhase('upload');
         gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
         gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.instanceData);
 
+        this.harness.beginPhase('encode');
         gl.drawElementsInstanced(gl.TRIANGLES, CubeData.indices.length, gl.UNSIGNED_SHORT, 0, this.count);
+        this.harness.endPhase();
+
+        this.harness.endGLTimer();
     }
 
     createShader(gl, type, source) {
@@ -172,7 +202,7 @@ export default class ScenarioB_WebGL extends Scenario {
         gl.shaderSource(shader, source);
         gl.compileShader(shader);
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            throw new Error('Shader compilation error: ' + gl.getShaderInfoLog(shader));
+            throw new BenchmarkError('shader-compile', 'Shader compilation error', { shaderLog: gl.getShaderInfoLog(shader) });
         }
         return shader;
     }
@@ -185,7 +215,7 @@ export default class ScenarioB_WebGL extends Scenario {
         gl.attachShader(program, fs);
         gl.linkProgram(program);
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            throw new Error('Program link error: ' + gl.getProgramInfoLog(program));
+            throw new BenchmarkError('program-link', 'Program link error', { shaderLog: gl.getProgramInfoLog(program) });
         }
         return program;
     }
@@ -1,4 +1,6 @@
 import { Scenario } from '../scenarios/Scenario.js';
+import { createWebGLContext } from '../scenarios/context.js';
+import { BenchmarkError } from '../metrics/errors.js';
 import { mat4 } from '../shared/math.js';
 
 const vsSource = `#version 300 es
@@ -6,12 +8,13 @@ layout(location = 0) in vec2 aPosition;
 layout(location = 1) in vec4 aColor;
 
 uniform mat4 uProjectionMatrix;
+uniform float uPointSize;
 
 out vec4 vColor;
 
 void main() {
     gl_Position = uProjectionMatrix * vec4(aPosition, 0.0, 1.0);
-    gl_PointSize = 2.0;
+    gl_PointSize = uPointSize;
     vColor = aColor;
 }
 `;
@@ -32,10 +35,12 @@ void main() {
 `;
 
 export default class ScenarioC_WebGL extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.gl = canvas.getContext('webgl2', { alpha: false });
-        if (!this.gl) throw new Error('WebGL 2 not supported');
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0, 0, 0];
+        this.particleSize = params.particleSize ?? 2.0; // Point diameter in pixels (gl_PointSize)
+        this.gl = createWebGLContext(canvas, this.contextOptions);
 
         // Cap count to reasonable CPU limit if someone enters 1M, CPU WebGL will die
         this.count = Math.min(this.count, 500000);
@@ -51,11 +56,13 @@ export default class ScenarioC_WebGL extends Scenario {
 
     async init() {
         const gl = this.gl;
+        this.harness.initWebGLTimerQueries(gl);
 
         this.program = this.createProgram(gl, vsSource, fsSource);
         gl.useProgram(this.program);
 
         this.uProjectionMatrixLoc = gl.getUniformLocation(this.program, 'uProjectionMatrix');
+        gl.uniform1f(gl.getUniformLocation(this.program, 'uPointSize'), this.particleSize);
 
         this.vao = gl.createVertexArray();
         gl.bindVertexArray(this.vao);
@@ -79,20 +86,20 @@ export default class ScenarioC_WebGL extends Scenario {
         const h = this.canvas.height;
         for (let i = 0; i < this.count; i++) {
             const idx = i * 8;
-            this.particleData[idx] = Math.random() * w;     // x
-            this.particleData[idx + 1] = Math.random() * h;   // y
-            this.particleData[idx + 2] = (Math.random() - 0.5) * 2.0; // vx
-            this.particleData[idx + 3] = (Math.random() - 0.5) * 2.0; // vy
+            this.particleData[idx] = this.random() * w;     // x
+            this.particleData[idx + 1] = this.random() * h;   // y
+            this.particleData[idx + 2] = (this.random() - 0.5) * 2.0; // vx
+            this.particleData[idx + 3] = (this.random() - 0.5) * 2.0; // vy
 
-            this.particleData[idx + 4] = Math.random() * 0.5 + 0.5; // r
-            this.particleData[idx + 5] = Math.random() * 0.5 + 0.5; // g
+            this.particleData[idx + 4] = this.random() * 0.5 + 0.5; // r
+            this.particleData[idx + 5] = this.random() * 0.5 + 0.5; // g
             this.particleData[idx + 6] = 1.0;                       // b
             this.particleData[idx + 7] = 1.0;                       // a
         }
 
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
-        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+        gl.clearColor(...this.clearColor, 1.0);
 
         this.resize(this.canvas.width, this.canvas.height);
     }
@@ -120,12 +127,29 @@ export default class ScenarioC_WebGL extends Scenario {
         out[15] = 1;
     }
 
+    releaseResources() {
+        const gl = this.gl;
+        gl.deleteBuffer(this.particleBuffer);
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+    }
+
+    getWorkload() {
+        return { ...super.getWorkload(), particlesSimulated: this.count, drawCalls: 1 };
+    }
+
+    getWorkUnits() {
+        return { particles: this.count };
+    }
+
     async render() {
         const gl = this.gl;
         const w = this.canvas.width;
         const h = this.canvas.height;
 
-        // CPU Physics update
+        // CPU Physics update, one integration over all timesteps since the last frame
+        this.harness.beginPhase('update');
+        const steps = this.clock.steps;
         for (let i = 0; i < this.count; i++) {
             const idx = i * 8;
             let x = this.particleData[idx];
@@ -133,11 +157,18 @@ export default class ScenarioC_WebGL extends Scenario {
             let vx = this.particleData[idx + 2];
             let vy = this.particleData[idx + 3];
 
-            x += vx;
-            y += vy;
+            x += vx * steps;
+            y += vy * steps;
 
-            if (x < 0 || x > w) vx = -vx;
-            if (y < 0 || y > h) vy = -vy;
+            // Bounce and clamp like the WebGPU compute shader, so both stay in step
+            if (x < 0 || x > w) {
+                vx = -vx;
+                x = Math.min(Math.max(x, 0), w);
+            }
+            if (y < 0 || y > h) {
+                vy = -vy;
+                y = Math.min(Math.max(y, 0), h);
+            }
 
             this.particleData[idx] = x;
             this.particleData[idx + 1] = y;
@@ -145,16 +176,23 @@ export default class ScenarioC_WebGL extends Scenario {
             this.particleData[idx + 3] = vy;
         }
 
+        this.harness.beginGLTimer();
+        this.harness.beginPhase('encode');
         gl.clear(gl.COLOR_BUFFER_BIT);
         gl.useProgram(this.program);
 
+        this.harness.beginPhase('upload');
         gl.uniformMatrix4fv(this.uProjectionMatrixLoc, false, this.projectionMatrix);
 
         gl.bindVertexArray(this.vao);
         gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
         gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.particleData);
 
+        this.harness.beginPhase('encode');
         gl.drawArrays(gl.POINTS, 0, this.count);
+        this.harness.endPhase();
+
+        this.harness.endGLTimer();
     }
 
     createShader(gl, type, source) {
@@ -162,7 +200,7 @@ export default class ScenarioC_WebGL extends Scenario {
         gl.shaderSource(shader, source);
         gl.compileShader(shader);
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            throw new Error('Shader compilation error: ' + gl.getShaderInfoLog(shader));
+            throw new BenchmarkError('shader-compile', 'Shader compilation error', { shaderLog: gl.getShaderInfoLog(shader) });
         }
         return shader;
     }
@@ -175,7 +213,7 @@ export default class ScenarioC_WebGL extends Scenario {
         gl.attachShader(program, fs);
         gl.linkProgram(program);
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            throw new Error('Program link error: ' + gl.getProgramInfoLog(program));
+            throw new BenchmarkError('program-link', 'Program link error', { shaderLog: gl.getProgramInfoLog(program) });
         }
         return program;
     }
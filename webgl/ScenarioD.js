@@ -1,4 +1,7 @@
 import { Scenario } from '../scenarios/Scenario.js';
+import { createWebGLContext } from '../scenarios/context.js';
+import { BenchmarkError } from '../metrics/errors.js';
+import { verifyMatmul } from '../shared/matmul.js';
 
 const vsSource = `#version 300 es
 layout(location = 0) in vec2 aPosition;
@@ -32,10 +35,9 @@ void main() {
 `;
 
 export default class ScenarioD_WebGL extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.gl = canvas.getContext('webgl2', { antialias: false });
-        if (!this.gl) throw new Error('WebGL 2 not supported');
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        this.gl = createWebGLContext(canvas, this.contextOptions);
 
         // Ensure color_buffer_float is supported for GPGPU
         const ext = this.gl.getExtension('EXT_color_buffer_float');
@@ -43,9 +45,9 @@ export default class ScenarioD_WebGL extends Scenario {
             console.warn("EXT_color_buffer_float not supported");
         }
 
-        // Limit size to prevent freezing
-        this.size = Math.min(Math.floor(Math.sqrt(this.count) * 10), 1024);
-        if (this.size < 2) this.size = 2;
+        // Matrix dimension derived from count unless given, limited to prevent freezing
+        this.requestedSize = params.matrixSize ?? Math.max(Math.floor(Math.sqrt(this.count) * 10), 2);
+        this.size = Math.min(this.requestedSize, 1024);
 
         this.program = null;
         this.vao = null;
@@ -53,10 +55,13 @@ export default class ScenarioD_WebGL extends Scenario {
         this.textureA = null;
         this.textureB = null;
         this.textureResult = null;
+        this.matrixA = null; // CPU copies for verification
+        this.matrixB = null;
     }
 
     async init() {
         const gl = this.gl;
+        this.harness.initWebGLTimerQueries(gl);
 
         this.program = this.createProgram(gl, vsSource, fsSource);
         gl.useProgram(this.program);
@@ -79,8 +84,8 @@ export default class ScenarioD_WebGL extends Scenario {
 
         this.vao = gl.createVertexArray();
         gl.bindVertexArray(this.vao);
-        const positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+        this.positionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(0);
         gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
@@ -89,11 +94,12 @@ export default class ScenarioD_WebGL extends Scenario {
         // Create data (size x size matrices)
         const dataA = new Float32Array(this.size * this.size);
         const dataB = new Float32Array(this.size * this.size);
-        for (let i = 0; i < this.size * this.size; i++) {
-            dataA[i] = Math.random();
-            dataB[i] = Math.random();
-        }
+        // A first, then B, in the same order as the WebGPU version
+        for (let i = 0; i < dataA.length; i++) dataA[i] = this.random();
+        for (let i = 0; i < dataB.length; i++) dataB[i] = this.random();
 
+        this.matrixA = dataA;
+        this.matrixB = dataB;
         this.textureA = this.createFloatTexture(gl, this.size, dataA);
         this.textureB = this.createFloatTexture(gl, this.size, dataB);
         this.textureResult = this.createFloatTexture(gl, this.size, null);
@@ -107,6 +113,21 @@ export default class ScenarioD_WebGL extends Scenario {
             console.warn("Framebuffer not complete. GPGPU may fail.");
         }
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (this.verify) this.harness.verifier = () => this.verifyResult();
+    }
+
+    // Reads the product back from the result texture and checks it on the CPU
+    async verifyResult() {
+        const gl = this.gl;
+        const pixels = new Float32Array(this.size * this.size * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbo);
+        // RGBA/FLOAT is the read format float color buffers always support
+        gl.readPixels(0, 0, this.size, this.size, gl.RGBA, gl.FLOAT, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        const result = new Float32Array(this.size * this.size);
+        for (let i = 0; i < result.length; i++) result[i] = pixels[i * 4];
+        return verifyMatmul(this.matrixA, this.matrixB, result, this.size);
     }
 
     createFloatTexture(gl, size, data) {
@@ -126,10 +147,37 @@ export default class ScenarioD_WebGL extends Scenario {
         // but we'll render the FBO result to the screen for visual feedback
     }
 
+    releaseResources() {
+        const gl = this.gl;
+        gl.deleteFramebuffer(this.fbo);
+        [this.textureA, this.textureB, this.textureResult].forEach(t => gl.deleteTexture(t));
+        gl.deleteBuffer(this.positionBuffer);
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+    }
+
+    getWorkload() {
+        const base = super.getWorkload();
+        return {
+            ...base,
+            matrixSize: this.size,
+            requestedMatrixSize: this.requestedSize,
+            capped: base.capped || this.size !== this.requestedSize,
+            flopsPerFrame: 2 * this.size ** 3, // One multiply-add per inner-loop step
+            drawCalls: 1
+        };
+    }
+
+    getWorkUnits() {
+        return { gflop: 2 * this.size ** 3 / 1e9 };
+    }
+
     async render() {
         const gl = this.gl;
+        this.harness.beginGLTimer();
 
         // 1. Compute Pass
+        this.harness.beginPhase('encode');
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbo);
         gl.viewport(0, 0, this.size, this.size);
 
@@ -155,13 +203,16 @@ export default class ScenarioD_WebGL extends Scenario {
 
         // To be extremely minimal, we just clear the screen with a color here 
         // to show it's "running", since drawing the result texture is another shader.
+        this.harness.endPhase();
+
+        this.harness.endGLTimer();
     }
 
     createShader(gl, type, source) {
         const shader = gl.createShader(type);
         gl.shaderSource(shader, source);
         gl.compileShader(shader);
-        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new BenchmarkError('shader-compile', 'Shader compilation error', { shaderLog: gl.getShaderInfoLog(shader) });
         return shader;
     }
 
@@ -172,7 +223,7 @@ export default class ScenarioD_WebGL extends Scenario {
         gl.attachShader(program, vs);
         gl.attachShader(program, fs);
         gl.linkProgram(program);
-        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new BenchmarkError('program-link', 'Program link error', { shaderLog: gl.getProgramInfoLog(program) });
         return program;
     }
 }
@@ -1,4 +1,6 @@
-import { Scenario } from '../scenarios/Scenario.js';
+import { Scenario, ROTATION_SPEED } from '../scenarios/Scenario.js';
+import { createWebGLContext } from '../scenarios/context.js';
+import { BenchmarkError } from '../metrics/errors.js';
 import { mat4, CubeData } from '../shared/math.js';
 
 const vsSource = `#version 300 es
@@ -33,10 +35,12 @@ void main() {
 `;
 
 export default class ScenarioE_WebGL extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.gl = canvas.getContext('webgl2');
-        if (!this.gl) throw new Error('WebGL 2 not supported');
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0.1, 0.1, 0.1];
+        this.spacing = params.spacing ?? 3.0; // Distance between neighbouring cubes
+        this.gl = createWebGLContext(canvas, this.contextOptions);
 
         // Capping count because WebGL state changes are very slow
         this.count = Math.min(this.count, 50000);
@@ -51,6 +55,7 @@ export default class ScenarioE_WebGL extends Scenario {
 
     async init() {
         const gl = this.gl;
+        this.harness.initWebGLTimerQueries(gl);
 
         this.program = this.createProgram(gl, vsSource, fsSource);
         gl.useProgram(this.program);
@@ -62,28 +67,28 @@ export default class ScenarioE_WebGL extends Scenario {
         this.vao = gl.createVertexArray();
         gl.bindVertexArray(this.vao);
 
-        const posBuf = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, posBuf);
+        this.posBuf = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.posBuf);
         gl.bufferData(gl.ARRAY_BUFFER, CubeData.positions, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(0);
         gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
 
-        const normBuf = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, normBuf);
+        this.normBuf = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.normBuf);
         gl.bufferData(gl.ARRAY_BUFFER, CubeData.normals, gl.STATIC_DRAW);
         gl.enableVertexAttribArray(1);
         gl.vertexAttribPointer(1, 3, gl.FLOAT, false, 0, 0);
 
-        const idxBuf = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, idxBuf);
+        this.idxBuf = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.idxBuf);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, CubeData.indices, gl.STATIC_DRAW);
         gl.bindVertexArray(null);
 
         gl.enable(gl.DEPTH_TEST);
-        gl.clearColor(0.1, 0.1, 0.1, 1.0);
+        gl.clearColor(...this.clearColor, 1.0);
 
         const gridSize = Math.ceil(Math.pow(this.count, 1 / 3));
-        const spacing = 3.0;
+        const spacing = this.spacing;
         let index = 0;
         for (let x = 0; x < gridSize; x++) {
             for (let y = 0; y < gridSize; y++) {
@@ -95,7 +100,7 @@ export default class ScenarioE_WebGL extends Scenario {
                             (y - gridSize / 2) * spacing,
                             (z - gridSize / 2) * spacing
                         ],
-                        color: [Math.random(), Math.random(), Math.random()]
+                        color: [this.random(), this.random(), this.random()]
                     });
                     index++;
                 }
@@ -110,16 +115,37 @@ export default class ScenarioE_WebGL extends Scenario {
         mat4.perspective(this.projectionMatrix, 45 * Math.PI / 180, width / height, 0.1, 1000.0, false);
     }
 
-    async render() {
+    releaseResources() {
         const gl = this.gl;
+        [this.posBuf, this.normBuf, this.idxBuf].forEach(b => gl.deleteBuffer(b));
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+    }
+
+    getWorkload() {
+        // One draw call (and one set of per-object state) per cube
+        return { ...super.getWorkload(), drawCalls: this.count };
+    }
+
+    getWorkUnits() {
+        // uniformMatrix4fv and uniform3fv before every draw
+        return { drawCalls: this.count, stateChanges: 2 * this.count };
+    }
+
+    async render(time) {
+        const gl = this.gl;
+        this.harness.beginGLTimer();
+        this.harness.beginPhase('encode');
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
         gl.useProgram(this.program);
         gl.bindVertexArray(this.vao);
 
+        this.harness.beginPhase('upload');
         gl.uniformMatrix4fv(this.uProjLoc, false, this.projectionMatrix);
 
-        this.rotation += 0.01;
+        this.harness.beginPhase('update');
+        this.rotation = time * ROTATION_SPEED;
         const view = mat4.create();
         const dist = Math.pow(this.count, 1 / 3) * 4.0;
         mat4.translate(view, view, [0, 0, -dist]);
@@ -130,6 +156,9 @@ export default class ScenarioE_WebGL extends Scenario {
 
         // This loop simulates STATE CHANGE overhead.
         // It intentionally does NOT use instancing. Every object requires 2 uniform updates.
+        // Matrix math, uniform uploads and draws are interleaved per object, so the
+        // whole loop is timed as one phase to keep the markers out of the hot path.
+        this.harness.beginPhase('encode');
         for (let i = 0; i < this.count; i++) {
             const obj = this.objects[i];
 
@@ -142,13 +171,16 @@ export default class ScenarioE_WebGL extends Scenario {
 
             gl.drawElements(gl.TRIANGLES, CubeData.indices.length, gl.UNSIGNED_SHORT, 0);
         }
+        this.harness.endPhase();
+
+        this.harness.endGLTimer();
     }
 
     createShader(gl, type, source) {
         const shader = gl.createShader(type);
         gl.shaderSource(shader, source);
         gl.compileShader(shader);
-        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new BenchmarkError('shader-compile', 'Shader compilation error', { shaderLog: gl.getShaderInfoLog(shader) });
         return shader;
     }
     createProgram(gl, vsSource, fsSource) {
@@ -157,7 +189,7 @@ export default class ScenarioE_WebGL extends Scenario {
         const p = gl.createProgram();
         gl.attachShader(p, vs); gl.attachShader(p, fs);
         gl.linkProgram(p);
-        if (!gl.getProgramParameter(p, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(p));
+        if (!gl.getProgramParameter(p, gl.LINK_STATUS)) throw new BenchmarkError('program-link', 'Program link error', { shaderLog: gl.getProgramInfoLog(p) });
         return p;
     }
 }
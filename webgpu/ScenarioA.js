@@ -1,4 +1,6 @@
-import { Scenario } from '../scenarios/Scenario.js';
+import { Scenario, ROTATION_SPEED } from '../scenarios/Scenario.js';
+import { requestWebGPUDevice, createPipelineChecked } from './device.js';
+import { CanvasTarget } from './canvas.js';
 import { mat4, CubeData } from '../shared/math.js';
 
 const wgslSource = `
@@ -51,10 +53,14 @@ fn fs_main(in : VertexOutput) -> @location(0) vec4<f32> {
 `;
 
 export default class ScenarioA_WebGPU extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0.1, 0.1, 0.1];
         this.adapter = null;
-        this.format = navigator.gpu ? navigator.gpu.getPreferredCanvasFormat() : 'bgra8unorm';
+
+        // The baseline always draws exactly one cube
+        this.count = 1;
 
         this.pipeline = null;
         this.uniformBuffer = null;
@@ -73,18 +79,13 @@ export default class ScenarioA_WebGPU extends Scenario {
     }
 
     async init() {
-        if (!navigator.gpu) throw new Error('WebGPU not supported');
-
-        this.adapter = await navigator.gpu.requestAdapter();
-        if (!this.adapter) throw new Error('No appropriate GPUAdapter found.');
-
-        this.device = await this.adapter.requestDevice();
-        this.context = this.canvas.getContext('webgpu');
-        this.context.configure({
-            device: this.device,
-            format: this.format,
-            alphaMode: 'opaque'
-        });
+        const { adapter, device, info } = await requestWebGPUDevice({ powerPreference: this.contextOptions.powerPreference });
+        this.adapter = adapter;
+        this.device = device;
+        this.harness.setDeviceInfo(info);
+        this.harness.watchWebGPUDevice(this.device);
+        this.target = new CanvasTarget(this.canvas, this.device, this.contextOptions);
+        this.context = this.target.context;
 
         await this.harness.initWebGPUTimestamps(this.device);
 
@@ -101,7 +102,7 @@ export default class ScenarioA_WebGPU extends Scenario {
         // Pipeline
         const shaderModule = this.device.createShaderModule({ code: wgslSource });
 
-        this.pipeline = this.device.createRenderPipeline({
+        this.pipeline = await createPipelineChecked(this.device, [shaderModule], () => this.device.createRenderPipeline({
             layout: 'auto',
             vertex: {
                 module: shaderModule,
@@ -120,18 +121,19 @@ export default class ScenarioA_WebGPU extends Scenario {
             fragment: {
                 module: shaderModule,
                 entryPoint: 'fs_main',
-                targets: [{ format: this.format }]
+                targets: [{ format: this.target.format }]
             },
             primitive: {
                 topology: 'triangle-list',
                 cullMode: 'back'
             },
+            multisample: { count: this.target.sampleCount },
             depthStencil: {
                 depthWriteEnabled: true,
                 depthCompare: 'less',
                 format: 'depth24plus'
             }
-        });
+        }));
 
         this.uniformBindGroup = this.device.createBindGroup({
             layout: this.pipeline.getBindGroupLayout(0),
@@ -160,21 +162,32 @@ export default class ScenarioA_WebGPU extends Scenario {
     }
 
     resize(width, height) {
+        this.target.resize(width, height);
         // Recreate depth texture on resize
         if (this.depthTexture) this.depthTexture.destroy();
 
-        this.depthTexture = this.device.createTexture({
-            size: [width, height, 1],
-            format: 'depth24plus',
-            usage: GPUTextureUsage.RENDER_ATTACHMENT
-        });
+        this.depthTexture = this.target.createDepthTexture(width, height);
         this.depthTextureView = this.depthTexture.createView();
 
         mat4.perspective(this.projectionMatrix, 45 * Math.PI / 180, width / height, 0.1, 100.0, true);
     }
 
-    async render() {
-        this.rotation += 0.01;
+    releaseResources() {
+        [this.vertexBuffer, this.normalBuffer, this.indexBuffer, this.uniformBuffer].forEach(b => b?.destroy());
+        this.depthTexture?.destroy();
+    }
+
+    getWorkload() {
+        return { ...super.getWorkload(), drawCalls: 1 };
+    }
+
+    getWorkUnits() {
+        return { triangles: CubeData.indices.length / 3 };
+    }
+
+    async render(time) {
+        this.harness.beginPhase('update');
+        this.rotation = time * ROTATION_SPEED;
         mat4.identity(this.modelViewMatrix);
         mat4.translate(this.modelViewMatrix, this.modelViewMatrix, [0.0, 0.0, -5.0]);
         mat4.rotateX(this.modelViewMatrix, this.modelViewMatrix, this.rotation);
@@ -198,25 +211,21 @@ export default class ScenarioA_WebGPU extends Scenario {
         this.uniformData[42] = this.modelViewMatrix[10];
         this.uniformData[43] = 0;
 
+        this.harness.beginPhase('upload');
         this.device.queue.writeBuffer(this.uniformBuffer, 0, this.uniformData);
 
+        this.harness.beginPhase('encode');
         const commandEncoder = this.device.createCommandEncoder();
 
-        this.harness.beginGPUTimestamp(commandEncoder);
-
         const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.1, g: 0.1, b: 0.1, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store'
-            }],
+            colorAttachments: [this.target.colorAttachment([...this.clearColor, 1.0])],
             depthStencilAttachment: {
                 view: this.depthTextureView,
                 depthClearValue: 1.0,
                 depthLoadOp: 'clear',
                 depthStoreOp: 'store',
-            }
+            },
+            timestampWrites: this.harness.gpuTimestampWrites()
         });
 
         renderPass.setPipeline(this.pipeline);
@@ -226,11 +235,13 @@ export default class ScenarioA_WebGPU extends Scenario {
         renderPass.setIndexBuffer(this.indexBuffer, 'uint16');
         renderPass.drawIndexed(CubeData.indices.length);
         renderPass.end();
+        this.target.present(commandEncoder);
 
         this.harness.endGPUTimestamp(commandEncoder);
 
+        this.harness.beginPhase('submit');
         this.device.queue.submit([commandEncoder.finish()]);
-
-        return this.harness.resolveGPUTimestamp();
+        this.harness.endPhase();
+        this.harness.collectGPUTimestamp();
     }
 }
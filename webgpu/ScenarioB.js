@@ -1,4 +1,6 @@
-import { Scenario } from '../scenarios/Scenario.js';
+import { Scenario, ROTATION_SPEED } from '../scenarios/Scenario.js';
+import { requestWebGPUDevice, createPipelineChecked } from './device.js';
+import { CanvasTarget } from './canvas.js';
 import { mat4, CubeData } from '../shared/math.js';
 
 const wgslSource = `
@@ -65,9 +67,11 @@ fn fs_main(in : VertexOutput) -> @location(0) vec4<f32> {
 `;
 
 export default class ScenarioB_WebGPU extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.format = navigator.gpu ? navigator.gpu.getPreferredCanvasFormat() : 'bgra8unorm';
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0.1, 0.1, 0.1];
+        this.spacing = params.spacing ?? 3.0; // Distance between neighbouring cubes
 
         this.projectionMatrix = mat4.create();
         this.viewMatrix = mat4.create();
@@ -76,16 +80,13 @@ export default class ScenarioB_WebGPU extends Scenario {
     }
 
     async init() {
-        if (!navigator.gpu) throw new Error('WebGPU not supported');
-
-        this.adapter = await navigator.gpu.requestAdapter();
-        this.device = await this.adapter.requestDevice();
-        this.context = this.canvas.getContext('webgpu');
-        this.context.configure({
-            device: this.device,
-            format: this.format,
-            alphaMode: 'opaque'
-        });
+        const { adapter, device, info } = await requestWebGPUDevice({ powerPreference: this.contextOptions.powerPreference });
+        this.adapter = adapter;
+        this.device = device;
+        this.harness.setDeviceInfo(info);
+        this.harness.watchWebGPUDevice(this.device);
+        this.target = new CanvasTarget(this.canvas, this.device, this.contextOptions);
+        this.context = this.target.context;
 
         await this.harness.initWebGPUTimestamps(this.device);
 
@@ -106,7 +107,7 @@ export default class ScenarioB_WebGPU extends Scenario {
 
         const shaderModule = this.device.createShaderModule({ code: wgslSource });
 
-        this.pipeline = this.device.createRenderPipeline({
+        this.pipeline = await createPipelineChecked(this.device, [shaderModule], () => this.device.createRenderPipeline({
             layout: 'auto',
             vertex: {
                 module: shaderModule,
@@ -135,11 +136,12 @@ export default class ScenarioB_WebGPU extends Scenario {
             fragment: {
                 module: shaderModule,
                 entryPoint: 'fs_main',
-                targets: [{ format: this.format }]
+                targets: [{ format: this.target.format }]
             },
             primitive: { topology: 'triangle-list', cullMode: 'back' },
+            multisample: { count: this.target.sampleCount },
             depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' }
-        });
+        }));
 
         this.uniformBindGroup = this.device.createBindGroup({
             layout: this.pipeline.getBindGroupLayout(0),
@@ -151,7 +153,7 @@ export default class ScenarioB_WebGPU extends Scenario {
         // Initial static positions
         this.instanceTransforms = [];
         const gridSize = Math.ceil(Math.pow(this.count, 1 / 3));
-        const spacing = 3.0;
+        const spacing = this.spacing;
         let index = 0;
         for (let x = 0; x < gridSize; x++) {
             for (let y = 0; y < gridSize; y++) {
@@ -177,18 +179,29 @@ export default class ScenarioB_WebGPU extends Scenario {
     }
 
     resize(width, height) {
+        this.target.resize(width, height);
         if (this.depthTexture) this.depthTexture.destroy();
-        this.depthTexture = this.device.createTexture({
-            size: [width, height, 1],
-            format: 'depth24plus',
-            usage: GPUTextureUsage.RENDER_ATTACHMENT
-        });
+        this.depthTexture = this.target.createDepthTexture(width, height);
         this.depthTextureView = this.depthTexture.createView();
         mat4.perspective(this.projectionMatrix, 45 * Math.PI / 180, width / height, 0.1, 1000.0, true);
     }
 
-    async render() {
-        this.rotation += 0.01;
+    releaseResources() {
+        [this.vertexBuffer, this.normalBuffer, this.indexBuffer, this.uniformBuffer, this.instanceBuffer].forEach(b => b?.destroy());
+        this.depthTexture?.destroy();
+    }
+
+    getWorkload() {
+        return { ...super.getWorkload(), instances: this.count, drawCalls: 1 };
+    }
+
+    getWorkUnits() {
+        return { triangles: this.count * CubeData.indices.length / 3, instances: this.count };
+    }
+
+    async render(time) {
+        this.harness.beginPhase('update');
+        this.rotation = time * ROTATION_SPEED;
         mat4.identity(this.viewMatrix);
         const distance = Math.pow(this.count, 1 / 3) * 4.0;
         mat4.translate(this.viewMatrix, this.viewMatrix, [0.0, 0.0, -distance]);
@@ -197,8 +210,10 @@ export default class ScenarioB_WebGPU extends Scenario {
 
         this.uniformData.set(this.projectionMatrix, 0);
         this.uniformData.set(this.viewMatrix, 16);
+        this.harness.beginPhase('upload');
         this.device.queue.writeBuffer(this.uniformBuffer, 0, this.uniformData);
 
+        this.harness.beginPhase('update');
         for (let i = 0; i < this.count; i++) {
             const offset = i * 16;
             let tmp = mat4.create();
@@ -208,24 +223,21 @@ export default class ScenarioB_WebGPU extends Scenario {
             this.instanceData.set(tmp, offset);
         }
 
+        this.harness.beginPhase('upload');
         this.device.queue.writeBuffer(this.instanceBuffer, 0, this.instanceData);
 
+        this.harness.beginPhase('encode');
         const commandEncoder = this.device.createCommandEncoder();
-        this.harness.beginGPUTimestamp(commandEncoder);
 
         const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.1, g: 0.1, b: 0.1, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store'
-            }],
+            colorAttachments: [this.target.colorAttachment([...this.clearColor, 1.0])],
             depthStencilAttachment: {
                 view: this.depthTextureView,
                 depthClearValue: 1.0,
                 depthLoadOp: 'clear',
                 depthStoreOp: 'store',
-            }
+            },
+            timestampWrites: this.harness.gpuTimestampWrites()
         });
 
         renderPass.setPipeline(this.pipeline);
@@ -236,11 +248,13 @@ export default class ScenarioB_WebGPU extends Scenario {
         renderPass.setIndexBuffer(this.indexBuffer, 'uint16');
         renderPass.drawIndexed(CubeData.indices.length, this.count);
         renderPass.end();
+        this.target.present(commandEncoder);
 
         this.harness.endGPUTimestamp(commandEncoder);
 
+        this.harness.beginPhase('submit');
         this.device.queue.submit([commandEncoder.finish()]);
-
-        return this.harness.resolveGPUTimestamp();
+        this.harness.endPhase();
+        this.harness.collectGPUTimestamp();
     }
 }
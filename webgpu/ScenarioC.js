@@ -1,4 +1,6 @@
 import { Scenario } from '../scenarios/Scenario.js';
+import { requestWebGPUDevice, createPipelineChecked } from './device.js';
+import { CanvasTarget } from './canvas.js';
 import { mat4 } from '../shared/math.js';
 
 const computeWGSL = `
@@ -13,17 +15,24 @@ struct Particles {
 struct Uniforms {
     width : f32,
     height : f32,
+    steps : f32, // Clock timesteps since the last frame
+    _pad : f32,
 }
 
 @group(0) @binding(0) var<uniform> uniforms : Uniforms;
 @group(0) @binding(1) var<storage, read_write> particlesData : Particles;
 
-@compute @workgroup_size(64)
+override workgroupSize : u32 = 64;
+
+@compute @workgroup_size(workgroupSize)
 fn cs_main(@builtin(global_invocation_id) GlobalInvocationID : vec3<u32>) {
     let index = GlobalInvocationID.x;
-    
+    if (index >= arrayLength(&particlesData.particles)) {
+        return;
+    }
+
     var p = particlesData.particles[index];
-    p.pos = p.pos + p.vel;
+    p.pos = p.pos + p.vel * uniforms.steps;
     
     if (p.pos.x < 0.0 || p.pos.x > uniforms.width) {
         p.vel.x = -p.vel.x;
@@ -59,6 +68,8 @@ struct VertexOutput {
     @location(0) color : vec4<f32>,
 }
 
+override particleSize : f32 = 4.0; // Quad side in pixels, like gl_PointSize
+
 // Draw a quad instanced. 4 vertices per particle instance.
 var<private> quad_pos : array<vec2<f32>, 4> = array<vec2<f32>, 4>(
     vec2<f32>(-1.0, -1.0),
@@ -75,9 +86,8 @@ fn vs_main(
     let p = particlesData.particles[instanceIndex];
     let qpos = quad_pos[vertexIndex];
     
-    // Scale particle quad (e.g. radius = 2.0 pixels)
-    let particle_size = 2.0;
-    let world_pos = p.pos + qpos * particle_size;
+    // Scale the unit quad (side 2) to the particle diameter
+    let world_pos = p.pos + qpos * particleSize * 0.5;
     
     var out : VertexOutput;
     out.position = uniforms.projectionMatrix * vec4<f32>(world_pos, 0.0, 1.0);
@@ -92,9 +102,12 @@ fn fs_main(in : VertexOutput) -> @location(0) vec4<f32> {
 `;
 
 export default class ScenarioC_WebGPU extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
-        this.format = navigator.gpu ? navigator.gpu.getPreferredCanvasFormat() : 'bgra8unorm';
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0, 0, 0];
+        this.particleSize = params.particleSize ?? 4.0; // Quad side in pixels
+        this.workgroupSize = params.workgroupSize ?? 64; // Invocations per compute workgroup
 
         this.particleBuffer = null;
         this.computePipeline = null;
@@ -102,26 +115,23 @@ export default class ScenarioC_WebGPU extends Scenario {
         this.computeBindGroup = null;
         this.renderBindGroup = null;
 
-        this.computeUniforms = new Float32Array(2); // width, height
+        this.computeUniforms = new Float32Array(4); // width, height, steps, padding
         this.computeUniformBuffer = null;
 
         this.projectionMatrix = mat4.create();
         this.renderUniformBuffer = null;
 
-        this.workgroupCount = Math.ceil(this.count / 64);
+        this.workgroupCount = Math.ceil(this.count / this.workgroupSize);
     }
 
     async init() {
-        if (!navigator.gpu) throw new Error('WebGPU not supported');
-
-        this.adapter = await navigator.gpu.requestAdapter();
-        this.device = await this.adapter.requestDevice();
-        this.context = this.canvas.getContext('webgpu');
-        this.context.configure({
-            device: this.device,
-            format: this.format,
-            alphaMode: 'opaque'
-        });
+        const { adapter, device, info } = await requestWebGPUDevice({ powerPreference: this.contextOptions.powerPreference });
+        this.adapter = adapter;
+        this.device = device;
+        this.harness.setDeviceInfo(info);
+        this.harness.watchWebGPUDevice(this.device);
+        this.target = new CanvasTarget(this.canvas, this.device, this.contextOptions);
+        this.context = this.target.context;
 
         await this.harness.initWebGPUTimestamps(this.device);
 
@@ -131,12 +141,12 @@ export default class ScenarioC_WebGPU extends Scenario {
         const h = this.canvas.height;
         for (let i = 0; i < this.count; i++) {
             const idx = i * 8;
-            initialData[idx] = Math.random() * w;
-            initialData[idx + 1] = Math.random() * h;
-            initialData[idx + 2] = (Math.random() - 0.5) * 2.0;
-            initialData[idx + 3] = (Math.random() - 0.5) * 2.0;
-            initialData[idx + 4] = Math.random() * 0.5 + 0.5;
-            initialData[idx + 5] = Math.random() * 0.5 + 0.5;
+            initialData[idx] = this.random() * w;
+            initialData[idx + 1] = this.random() * h;
+            initialData[idx + 2] = (this.random() - 0.5) * 2.0;
+            initialData[idx + 3] = (this.random() - 0.5) * 2.0;
+            initialData[idx + 4] = this.random() * 0.5 + 0.5;
+            initialData[idx + 5] = this.random() * 0.5 + 0.5;
             initialData[idx + 6] = 1.0;
             initialData[idx + 7] = 1.0;
         }
@@ -150,7 +160,7 @@ export default class ScenarioC_WebGPU extends Scenario {
         this.particleBuffer.unmap();
 
         this.computeUniformBuffer = this.device.createBuffer({
-            size: 8,
+            size: this.computeUniforms.byteLength,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
@@ -161,10 +171,10 @@ export default class ScenarioC_WebGPU extends Scenario {
 
         // Compute Pipeline
         const computeModule = this.device.createShaderModule({ code: computeWGSL });
-        this.computePipeline = this.device.createComputePipeline({
+        this.computePipeline = await createPipelineChecked(this.device, [computeModule], () => this.device.createComputePipeline({
             layout: 'auto',
-            compute: { module: computeModule, entryPoint: 'cs_main' }
-        });
+            compute: { module: computeModule, entryPoint: 'cs_main', constants: { workgroupSize: this.workgroupSize } }
+        }));
 
         this.computeBindGroup = this.device.createBindGroup({
             layout: this.computePipeline.getBindGroupLayout(0),
@@ -176,14 +186,14 @@ export default class ScenarioC_WebGPU extends Scenario {
 
         // Render Pipeline
         const renderModule = this.device.createShaderModule({ code: renderWGSL });
-        this.renderPipeline = this.device.createRenderPipeline({
+        this.renderPipeline = await createPipelineChecked(this.device, [renderModule], () => this.device.createRenderPipeline({
             layout: 'auto',
-            vertex: { module: renderModule, entryPoint: 'vs_main' },
+            vertex: { module: renderModule, entryPoint: 'vs_main', constants: { particleSize: this.particleSize } },
             fragment: {
                 module: renderModule,
                 entryPoint: 'fs_main',
                 targets: [{
-                    format: this.format,
+                    format: this.target.format,
                     blend: {
                         color: { srcFactor: 'src-alpha', dstFactor: 'one', operation: 'add' },
                         alpha: { srcFactor: 'src-alpha', dstFactor: 'one', operation: 'add' }
@@ -191,7 +201,8 @@ export default class ScenarioC_WebGPU extends Scenario {
                 }]
             },
             primitive: { topology: 'triangle-strip' },
-        });
+            multisample: { count: this.target.sampleCount }
+        }));
 
         this.renderBindGroup = this.device.createBindGroup({
             layout: this.renderPipeline.getBindGroupLayout(0),
@@ -205,6 +216,7 @@ export default class ScenarioC_WebGPU extends Scenario {
     }
 
     resize(width, height) {
+        this.target.resize(width, height);
         this.computeUniforms[0] = width;
         this.computeUniforms[1] = height;
         this.device.queue.writeBuffer(this.computeUniformBuffer, 0, this.computeUniforms);
@@ -225,13 +237,36 @@ export default class ScenarioC_WebGPU extends Scenario {
         this.device.queue.writeBuffer(this.renderUniformBuffer, 0, this.projectionMatrix);
     }
 
+    releaseResources() {
+        [this.particleBuffer, this.computeUniformBuffer, this.renderUniformBuffer].forEach(b => b?.destroy());
+    }
+
+    getWorkload() {
+        return {
+            ...super.getWorkload(),
+            particlesSimulated: Math.min(this.count, this.workgroupCount * this.workgroupSize),
+            workgroups: this.workgroupCount,
+            workgroupSize: this.workgroupSize,
+            drawCalls: 1
+        };
+    }
+
+    getWorkUnits() {
+        return { particles: this.getWorkload().particlesSimulated };
+    }
+
     async render() {
-        const commandEncoder = this.device.createCommandEncoder();
+        this.harness.beginPhase('upload');
+        this.computeUniforms[2] = this.clock.steps;
+        this.device.queue.writeBuffer(this.computeUniformBuffer, 0, this.computeUniforms);
 
-        this.harness.beginGPUTimestamp(commandEncoder);
+        this.harness.beginPhase('encode');
+        const commandEncoder = this.device.createCommandEncoder();
 
         // Compute pass
-        const computePass = commandEncoder.beginComputePass();
+        const computePass = commandEncoder.beginComputePass({
+            timestampWrites: this.harness.gpuTimestampWrites({ last: false })
+        });
         computePass.setPipeline(this.computePipeline);
         computePass.setBindGroup(0, this.computeBindGroup);
         computePass.dispatchWorkgroups(this.workgroupCount);
@@ -239,12 +274,8 @@ export default class ScenarioC_WebGPU extends Scenario {
 
         // Render pass
         const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store'
-            }]
+            colorAttachments: [this.target.colorAttachment([...this.clearColor, 1.0])],
+            timestampWrites: this.harness.gpuTimestampWrites({ first: false })
         });
 
         renderPass.setPipeline(this.renderPipeline);
@@ -252,11 +283,13 @@ export default class ScenarioC_WebGPU extends Scenario {
         // Draw 4 vertices (quad) for each particle instance
         renderPass.draw(4, this.count, 0, 0);
         renderPass.end();
+        this.target.present(commandEncoder);
 
         this.harness.endGPUTimestamp(commandEncoder);
 
+        this.harness.beginPhase('submit');
         this.device.queue.submit([commandEncoder.finish()]);
-
-        return this.harness.resolveGPUTimestamp();
+        this.harness.endPhase();
+        this.harness.collectGPUTimestamp();
     }
 }
@@ -1,4 +1,7 @@
 import { Scenario } from '../scenarios/Scenario.js';
+import { requestWebGPUDevice, createPipelineChecked } from './device.js';
+import { CanvasTarget } from './canvas.js';
+import { verifyMatmul } from '../shared/matmul.js';
 
 const wgslSource = `
 struct Matrix {
@@ -10,7 +13,9 @@ struct Matrix {
 @group(0) @binding(1) var<storage, read> secondMatrix : Matrix;
 @group(0) @binding(2) var<storage, read_write> resultMatrix : Matrix;
 
-@compute @workgroup_size(8, 8)
+override workgroupSize : u32 = 8;
+
+@compute @workgroup_size(workgroupSize, workgroupSize)
 fn cs_main(@builtin(global_invocation_id) global_id : vec3<u32>) {
     // global_id.x and global_id.y are column and row
     let resultCell = vec2<u32>(global_id.x, global_id.y);
@@ -34,30 +39,32 @@ fn cs_main(@builtin(global_invocation_id) global_id : vec3<u32>) {
 `;
 
 export default class ScenarioD_WebGPU extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
 
-        this.size = Math.min(Math.floor(Math.sqrt(this.count) * 10), 1024);
-        if (this.size < 2) this.size = 2;
+        // Matrix dimension derived from count unless given, limited to prevent freezing
+        this.requestedSize = params.matrixSize ?? Math.max(Math.floor(Math.sqrt(this.count) * 10), 2);
+        this.size = Math.min(this.requestedSize, 1024);
+        this.workgroupSize = params.workgroupSize ?? 8; // Side of the square workgroup
 
         this.computePipeline = null;
         this.bindGroup = null;
         this.resultBuffer = null;
+        this.matrixA = null; // CPU copies for verification
+        this.matrixB = null;
     }
 
     async init() {
-        if (!navigator.gpu) throw new Error('WebGPU not supported');
-
-        this.adapter = await navigator.gpu.requestAdapter();
-        this.device = await this.adapter.requestDevice();
-
-        // We only use Compute, no context/canvas configuring strictly needed
-        // but let's clear it to black anyway.
-        this.context = this.canvas.getContext('webgpu');
-        this.context.configure({
-            device: this.device,
-            format: navigator.gpu.getPreferredCanvasFormat()
-        });
+        const { adapter, device, info } = await requestWebGPUDevice({ powerPreference: this.contextOptions.powerPreference });
+        this.adapter = adapter;
+        this.device = device;
+        this.harness.setDeviceInfo(info);
+        this.harness.watchWebGPUDevice(this.device);
+
+        // The product is never drawn; the canvas is only cleared, but with the
+        // same context options as every other scenario
+        this.target = new CanvasTarget(this.canvas, this.device, this.contextOptions);
+        this.context = this.target.context;
         await this.harness.initWebGPUTimestamps(this.device);
 
         // 2 metadata floats (size) + size*size floats
@@ -67,28 +74,30 @@ export default class ScenarioD_WebGPU extends Scenario {
         const firstMatrixData = new Float32Array(elementCount);
         firstMatrixData[0] = this.size;
         firstMatrixData[1] = this.size;
-        for (let i = 2; i < elementCount; i++) firstMatrixData[i] = Math.random();
+        for (let i = 2; i < elementCount; i++) firstMatrixData[i] = this.random();
 
         const secondMatrixData = new Float32Array(elementCount);
         secondMatrixData[0] = this.size;
         secondMatrixData[1] = this.size;
-        for (let i = 2; i < elementCount; i++) secondMatrixData[i] = Math.random();
+        for (let i = 2; i < elementCount; i++) secondMatrixData[i] = this.random();
+        this.matrixA = firstMatrixData.subarray(2);
+        this.matrixB = secondMatrixData.subarray(2);
 
-        const gpuBufferFirstMatrix = this.device.createBuffer({
+        this.gpuBufferFirstMatrix = this.device.createBuffer({
             mappedAtCreation: true,
             size: firstMatrixData.byteLength,
             usage: GPUBufferUsage.STORAGE
         });
-        new Float32Array(gpuBufferFirstMatrix.getMappedRange()).set(firstMatrixData);
-        gpuBufferFirstMatrix.unmap();
+        new Float32Array(this.gpuBufferFirstMatrix.getMappedRange()).set(firstMatrixData);
+        this.gpuBufferFirstMatrix.unmap();
 
-        const gpuBufferSecondMatrix = this.device.createBuffer({
+        this.gpuBufferSecondMatrix = this.device.createBuffer({
             mappedAtCreation: true,
             size: secondMatrixData.byteLength,
             usage: GPUBufferUsage.STORAGE
         });
-        new Float32Array(gpuBufferSecondMatrix.getMappedRange()).set(secondMatrixData);
-        gpuBufferSecondMatrix.unmap();
+        new Float32Array(this.gpuBufferSecondMatrix.getMappedRange()).set(secondMatrixData);
+        this.gpuBufferSecondMatrix.unmap();
 
         // Result buffer
         this.resultBuffer = this.device.createBuffer({
@@ -98,29 +107,72 @@ export default class ScenarioD_WebGPU extends Scenario {
 
         const shaderModule = this.device.createShaderModule({ code: wgslSource });
 
-        this.computePipeline = this.device.createComputePipeline({
+        this.computePipeline = await createPipelineChecked(this.device, [shaderModule], () => this.device.createComputePipeline({
             layout: 'auto',
-            compute: { module: shaderModule, entryPoint: 'cs_main' }
-        });
+            compute: { module: shaderModule, entryPoint: 'cs_main', constants: { workgroupSize: this.workgroupSize } }
+        }));
 
         this.bindGroup = this.device.createBindGroup({
             layout: this.computePipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: gpuBufferFirstMatrix } },
-                { binding: 1, resource: { buffer: gpuBufferSecondMatrix } },
+                { binding: 0, resource: { buffer: this.gpuBufferFirstMatrix } },
+                { binding: 1, resource: { buffer: this.gpuBufferSecondMatrix } },
                 { binding: 2, resource: { buffer: this.resultBuffer } }
             ]
         });
 
-        this.workgroupCount = Math.ceil(this.size / 8);
+        this.workgroupCount = Math.ceil(this.size / this.workgroupSize);
+        if (this.verify) this.harness.verifier = () => this.verifyResult();
     }
 
-    async render() {
+    // Copies the product out of the storage buffer and checks it on the CPU
+    async verifyResult() {
+        const bytes = this.size * this.size * 4;
+        const readback = this.device.createBuffer({ size: bytes, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
         const commandEncoder = this.device.createCommandEncoder();
+        // The numbers start after the two size floats
+        commandEncoder.copyBufferToBuffer(this.resultBuffer, 8, readback, 0, bytes);
+        this.device.queue.submit([commandEncoder.finish()]);
 
-        this.harness.beginGPUTimestamp(commandEncoder);
+        await readback.mapAsync(GPUMapMode.READ);
+        const result = new Float32Array(readback.getMappedRange().slice(0));
+        readback.unmap();
+        readback.destroy();
+        return verifyMatmul(this.matrixA, this.matrixB, result, this.size);
+    }
 
-        const passEncoder = commandEncoder.beginComputePass();
+    resize(width, height) {
+        this.target.resize(width, height);
+    }
+
+    releaseResources() {
+        [this.gpuBufferFirstMatrix, this.gpuBufferSecondMatrix, this.resultBuffer].forEach(b => b?.destroy());
+    }
+
+    getWorkload() {
+        const base = super.getWorkload();
+        return {
+            ...base,
+            matrixSize: this.size,
+            requestedMatrixSize: this.requestedSize,
+            capped: base.capped || this.size !== this.requestedSize,
+            flopsPerFrame: 2 * this.size ** 3, // One multiply-add per inner-loop step
+            workgroups: [this.workgroupCount, this.workgroupCount],
+            workgroupSize: [this.workgroupSize, this.workgroupSize]
+        };
+    }
+
+    getWorkUnits() {
+        return { gflop: 2 * this.size ** 3 / 1e9 };
+    }
+
+    async render() {
+        this.harness.beginPhase('encode');
+        const commandEncoder = this.device.createCommandEncoder();
+
+        const passEncoder = commandEncoder.beginComputePass({
+            timestampWrites: this.harness.gpuTimestampWrites({ last: false })
+        });
         passEncoder.setPipeline(this.computePipeline);
         passEncoder.setBindGroup(0, this.bindGroup);
         passEncoder.dispatchWorkgroups(this.workgroupCount, this.workgroupCount);
@@ -128,19 +180,17 @@ export default class ScenarioD_WebGPU extends Scenario {
 
         // Small clear pass to give visual feedback
         const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.05, g: 0.05, b: 0.1, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store'
-            }]
+            colorAttachments: [this.target.colorAttachment({ r: 0.05, g: 0.05, b: 0.1, a: 1.0 })],
+            timestampWrites: this.harness.gpuTimestampWrites({ first: false })
         });
         renderPass.end();
+        this.target.present(commandEncoder);
 
         this.harness.endGPUTimestamp(commandEncoder);
 
+        this.harness.beginPhase('submit');
         this.device.queue.submit([commandEncoder.finish()]);
-
-        return this.harness.resolveGPUTimestamp();
+        this.harness.endPhase();
+        this.harness.collectGPUTimestamp();
     }
 }
@@ -1,4 +1,6 @@
-import { Scenario } from '../scenarios/Scenario.js';
+import { Scenario, ROTATION_SPEED } from '../scenarios/Scenario.js';
+import { requestWebGPUDevice, createPipelineChecked } from './device.js';
+import { CanvasTarget } from './canvas.js';
 import { mat4, CubeData } from '../shared/math.js';
 
 const wgslSource = `
@@ -44,21 +46,24 @@ fn fs_main(in : VertexOutput) -> @location(0) vec4<f32> {
 `;
 
 export default class ScenarioE_WebGPU extends Scenario {
-    constructor(canvas, harness) {
-        super(canvas, harness);
+    constructor(canvas, harness, params) {
+        super(canvas, harness, params);
+        // Scenario parameters, see scenarios/registry.json
+        this.clearColor = params.clearColor ?? [0.1, 0.1, 0.1];
+        this.spacing = params.spacing ?? 3.0; // Distance between neighbouring cubes
         this.count = Math.min(this.count, 50000);
-        this.format = navigator.gpu ? navigator.gpu.getPreferredCanvasFormat() : 'bgra8unorm';
         this.rotation = 0;
         this.projectionMatrix = mat4.create();
     }
 
     async init() {
-        if (!navigator.gpu) throw new Error('WebGPU not supported');
-
-        this.adapter = await navigator.gpu.requestAdapter();
-        this.device = await this.adapter.requestDevice();
-        this.context = this.canvas.getContext('webgpu');
-        this.context.configure({ device: this.device, format: this.format, alphaMode: 'opaque' });
+        const { adapter, device, info } = await requestWebGPUDevice({ powerPreference: this.contextOptions.powerPreference });
+        this.adapter = adapter;
+        this.device = device;
+        this.harness.setDeviceInfo(info);
+        this.harness.watchWebGPUDevice(this.device);
+        this.target = new CanvasTarget(this.canvas, this.device, this.contextOptions);
+        this.context = this.target.context;
 
         await this.harness.initWebGPUTimestamps(this.device);
 
@@ -75,7 +80,7 @@ export default class ScenarioE_WebGPU extends Scenario {
 
         const shaderModule = this.device.createShaderModule({ code: wgslSource });
 
-        this.pipeline = this.device.createRenderPipeline({
+        this.pipeline = await createPipelineChecked(this.device, [shaderModule], () => this.device.createRenderPipeline({
             layout: 'auto',
             vertex: {
                 module: shaderModule,
@@ -85,10 +90,11 @@ export default class ScenarioE_WebGPU extends Scenario {
                     { arrayStride: 12, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] }
                 ]
             },
-            fragment: { module: shaderModule, entryPoint: 'fs_main', targets: [{ format: this.format }] },
+            fragment: { module: shaderModule, entryPoint: 'fs_main', targets: [{ format: this.target.format }] },
             primitive: { topology: 'triangle-list', cullMode: 'back' },
+            multisample: { count: this.target.sampleCount },
             depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' }
-        });
+        }));
 
         this.globalBindGroup = this.device.createBindGroup({
             layout: this.pipeline.getBindGroupLayout(0),
@@ -99,7 +105,7 @@ export default class ScenarioE_WebGPU extends Scenario {
         // This tests Bind Group switching overhead.
         this.objects = [];
         const gridSize = Math.ceil(Math.pow(this.count, 1 / 3));
-        const spacing = 3.0;
+        const spacing = this.spacing;
         let index = 0;
 
         // Dynamic offsets are technically preferred, but for strictly simulating WebGL's terrible
@@ -125,7 +131,7 @@ export default class ScenarioE_WebGPU extends Scenario {
 
                     this.objects.push({
                         pos: [(x - gridSize / 2) * spacing, (y - gridSize / 2) * spacing, (z - gridSize / 2) * spacing],
-                        color: [Math.random(), Math.random(), Math.random(), 1.0],
+                        color: [this.random(), this.random(), this.random(), 1.0],
                         ubo,
                         bindGroup
                     });
@@ -148,16 +154,33 @@ export default class ScenarioE_WebGPU extends Scenario {
     }
 
     resize(width, height) {
+        this.target.resize(width, height);
         if (this.depthTex) this.depthTex.destroy();
-        this.depthTex = this.device.createTexture({
-            size: [width, height, 1], format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT
-        });
+        this.depthTex = this.target.createDepthTexture(width, height);
         this.depthView = this.depthTex.createView();
         mat4.perspective(this.projectionMatrix, 45 * Math.PI / 180, width / height, 0.1, 1000.0, true);
     }
 
-    async render() {
-        this.rotation += 0.01;
+    releaseResources() {
+        Object.values(this.buffers || {}).forEach(b => b.destroy());
+        this.globalUbo?.destroy();
+        this.objects?.forEach(o => o.ubo.destroy());
+        this.depthTex?.destroy();
+    }
+
+    getWorkload() {
+        // One draw call (and one set of per-object state) per cube
+        return { ...super.getWorkload(), drawCalls: this.count };
+    }
+
+    getWorkUnits() {
+        // One setBindGroup before every draw
+        return { drawCalls: this.count, stateChanges: this.count };
+    }
+
+    async render(time) {
+        this.harness.beginPhase('update');
+        this.rotation = time * ROTATION_SPEED;
         const view = mat4.create();
         const dist = Math.pow(this.count, 1 / 3) * 4.0;
         mat4.translate(view, view, [0, 0, -dist]);
@@ -167,9 +190,11 @@ export default class ScenarioE_WebGPU extends Scenario {
         const globalData = new Float32Array(32);
         globalData.set(this.projectionMatrix, 0);
         globalData.set(view, 16);
+        this.harness.beginPhase('upload');
         this.device.queue.writeBuffer(this.globalUbo, 0, globalData);
 
-        // Update all object UBOs
+        // Update all object UBOs. Matrix math and writeBuffer are interleaved per
+        // object, so the loop is timed as a single upload phase.
         const model = mat4.create();
         for (let i = 0; i < this.count; i++) {
             const obj = this.objects[i];
@@ -185,17 +210,15 @@ export default class ScenarioE_WebGPU extends Scenario {
             this.device.queue.writeBuffer(obj.ubo, 0, objData);
         }
 
+        this.harness.beginPhase('encode');
         const commandEncoder = this.device.createCommandEncoder();
-        this.harness.beginGPUTimestamp(commandEncoder);
 
         const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.1, g: 0.1, b: 0.1, a: 1.0 }, loadOp: 'clear', storeOp: 'store'
-            }],
+            colorAttachments: [this.target.colorAttachment([...this.clearColor, 1.0])],
             depthStencilAttachment: {
                 view: this.depthView, depthClearValue: 1.0, depthLoadOp: 'clear', depthStoreOp: 'store',
-            }
+            },
+            timestampWrites: this.harness.gpuTimestampWrites()
         });
 
         renderPass.setPipeline(this.pipeline);
@@ -211,10 +234,13 @@ export default class ScenarioE_WebGPU extends Scenario {
         }
 
         renderPass.end();
+        this.target.present(commandEncoder);
 
         this.harness.endGPUTimestamp(commandEncoder);
 
+        this.harness.beginPhase('submit');
         this.device.queue.submit([commandEncoder.finish()]);
-        return this.harness.resolveGPUTimestamp();
+        this.harness.endPhase();
+        this.harness.collectGPUTimestamp();
     }
 }
@@ -0,0 +1,109 @@
+// Canvas of a WebGPU scenario, configured from the context options
+// (scenarios/context.js) to match what the WebGL context does with them.
+import { BenchmarkError } from '../metrics/errors.js';
+
+export class CanvasTarget {
+    constructor(canvas, device, options) {
+        if (options.desynchronized) {
+            throw new BenchmarkError('unsupported', 'WebGPU canvases have no desynchronized mode');
+        }
+        if (options.alpha && !options.premultipliedAlpha) {
+            throw new BenchmarkError('unsupported', 'WebGPU canvases only composite premultiplied alpha');
+        }
+
+        this.device = device;
+        this.options = options;
+        this.format = options.canvasFormat === 'preferred' ? navigator.gpu.getPreferredCanvasFormat() : options.canvasFormat;
+        this.alphaMode = options.alpha ? 'premultiplied' : 'opaque';
+        this.sampleCount = options.sampleCount;
+
+        this.context = canvas.getContext('webgpu');
+        this.context.configure({
+            device,
+            format: this.format,
+            alphaMode: this.alphaMode,
+            // preserveDrawingBuffer: frames are copied in from preservedTexture
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | (options.preserveDrawingBuffer ? GPUTextureUsage.COPY_DST : 0)
+        });
+
+        this.multisampleTexture = null; // sampleCount > 1: resolved into the canvas
+        this.preservedTexture = null;   // preserveDrawingBuffer: the drawing buffer that outlives the frame
+        this.width = null;
+        this.height = null;
+        this.resize(canvas.width, canvas.height);
+    }
+
+    // Called again by the scenarios' resize(); only a new size reallocates
+    resize(width, height) {
+        if (width === this.width && height === this.height) return;
+        this.destroy();
+        this.width = width;
+        this.height = height;
+        if (this.sampleCount > 1) {
+            this.multisampleTexture = this.device.createTexture({
+                size: [width, height, 1],
+                format: this.format,
+                sampleCount: this.sampleCount,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            });
+        }
+        // WebGL keeps the drawing buffer by copying it to the display buffer
+        // instead of swapping, which costs the same copy
+        if (this.options.preserveDrawingBuffer) {
+            this.preservedTexture = this.device.createTexture({
+                size: [width, height, 1],
+                format: this.format,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+            });
+        }
+    }
+
+    // Color attachment of the frame's render pass, cleared to clearValue
+    colorAttachment(clearValue) {
+        const view = this.preservedTexture ? this.preservedTexture.createView() : this.context.getCurrentTexture().createView();
+        if (!this.multisampleTexture) return { view, clearValue, loadOp: 'clear', storeOp: 'store' };
+        return { view: this.multisampleTexture.createView(), resolveTarget: view, clearValue, loadOp: 'clear', storeOp: 'discard' };
+    }
+
+    // Depth texture matching the color attachment's size and sample count
+    createDepthTexture(width, height) {
+        return this.device.createTexture({
+            size: [width, height, 1],
+            format: 'depth24plus',
+            sampleCount: this.sampleCount,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT
+        });
+    }
+
+    // Encodes what has to follow the frame's render pass
+    present(commandEncoder) {
+        if (!this.preservedTexture) return;
+        commandEncoder.copyTextureToTexture(
+            { texture: this.preservedTexture },
+            { texture: this.context.getCurrentTexture() },
+            [this.width, this.height, 1]
+        );
+    }
+
+    // Options in effect, in the shape of webglContextInfo()
+    info() {
+        return {
+            requested: this.options,
+            sampleCount: this.sampleCount,
+            antialias: this.sampleCount > 1,
+            alpha: this.alphaMode !== 'opaque',
+            premultipliedAlpha: true,
+            preserveDrawingBuffer: this.options.preserveDrawingBuffer,
+            powerPreference: this.options.powerPreference,
+            desynchronized: false,
+            canvasFormat: this.format
+        };
+    }
+
+    destroy() {
+        this.multisampleTexture?.destroy();
+        this.preservedTexture?.destroy();
+        this.multisampleTexture = null;
+        this.preservedTexture = null;
+    }
+}
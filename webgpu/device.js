@@ -0,0 +1,75 @@
+// Shared adapter/device bootstrap for all WebGPU scenarios.
+import { BenchmarkError, gpuErrorCategory } from '../metrics/errors.js';
+
+// Features requested whenever the adapter exposes them
+const OPTIONAL_FEATURES = ['timestamp-query'];
+
+// Limits raised to the adapter maximum whenever the adapter exposes them
+const OPTIONAL_LIMITS = [
+    'maxBufferSize',
+    'maxStorageBufferBindingSize',
+    'maxComputeWorkgroupsPerDimension'
+];
+
+// powerPreference: the context option ('default', 'high-performance' or 'low-power')
+export async function requestWebGPUDevice({ features = OPTIONAL_FEATURES, limits = OPTIONAL_LIMITS, powerPreference = 'default' } = {}) {
+    if (!navigator.gpu) throw new BenchmarkError('unsupported', 'WebGPU not supported');
+
+    // WebGPU has no 'default' value, leaving it out is the default
+    const adapter = await navigator.gpu.requestAdapter(powerPreference === 'default' ? {} : { powerPreference });
+    if (!adapter) throw new BenchmarkError('unsupported', 'No appropriate GPUAdapter found.');
+
+    // Only ask for what the adapter can grant, otherwise requestDevice() rejects
+    const requiredFeatures = features.filter(f => adapter.features.has(f));
+    const requiredLimits = {};
+    for (const name of limits) {
+        if (adapter.limits[name] !== undefined) requiredLimits[name] = adapter.limits[name];
+    }
+
+    const device = await adapter.requestDevice({ requiredFeatures, requiredLimits });
+
+    const adapterInfo = adapter.info || {};
+    const info = {
+        requestedFeatures: features,
+        grantedFeatures: [...device.features].sort(),
+        missingFeatures: features.filter(f => !device.features.has(f)),
+        limits: Object.fromEntries(Object.keys(requiredLimits).map(name => [name, device.limits[name]])),
+        powerPreference,
+        adapter: {
+            vendor: adapterInfo.vendor || '',
+            architecture: adapterInfo.architecture || '',
+            description: adapterInfo.description || ''
+        }
+    };
+
+    return { adapter, device, info };
+}
+
+// WGSL compilation messages of the modules, one per line as line:col type: message
+async function compilationLog(modules) {
+    const lines = [];
+    for (const module of modules) {
+        const { messages } = await module.getCompilationInfo();
+        for (const m of messages) lines.push(`${m.lineNum}:${m.linePos} ${m.type}: ${m.message}`);
+    }
+    return lines.join('\n');
+}
+
+// Runs create() (a create*Pipeline call) inside error scopes, so a broken shader or
+// layout fails init with its category and compilation log instead of surfacing later
+// as an uncaptured error.
+export async function createPipelineChecked(device, modules, create) {
+    const scopes = ['validation', 'out-of-memory', 'internal'];
+    for (const filter of scopes) device.pushErrorScope(filter);
+    const pipeline = create();
+    const errors = [];
+    for (let i = 0; i < scopes.length; i++) errors.push(await device.popErrorScope());
+
+    const error = errors.find(e => e);
+    if (error) {
+        const shaderLog = await compilationLog(modules);
+        const category = shaderLog.includes('error:') ? 'shader-compile' : gpuErrorCategory(error);
+        throw new BenchmarkError(category, error.message, { shaderLog: shaderLog || null });
+    }
+    return pipeline;
+}